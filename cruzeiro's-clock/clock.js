@@ -8,8 +8,11 @@
  * </p>
  *
  * Description.
- * <p>Here, it has been used two canvases: one for the clock's background
- * and the other for its four handles.
+ * <p>Here, it has been used three canvases: one for the clock's background,
+ * one for its four handles and another for the legend.
+ * Each {@link Clock} owns its canvases, so a page may show several clocks,
+ * such as the <a href="../clock/world.html">world clocks</a> grid,
+ * all of them redrawn by a single {@link runAnimation animation loop}.
  *
  * A simple method for drawing a handle consists in mapping
  * hours, minutes and seconds from the computer into angles,
@@ -25,12 +28,18 @@
  * from the browser.
  * Otherwise, a series of locations is read from a
  * <a href="../clock/localtime.json">localtime.json</a> file,
+ * or from the {@link readZones source} configured on the clock canvas,
  * and the time of each location can
  * be set by pressing the "n" or "N" keys, which cycles forward or backward between them.
+ * Any other time zone can be {@link startZonePicker searched for and chosen},
+ * located by the <a href="../clock/zones.json">zones.json</a> table.
  * </p>
  *
  * <p>The day light hours are indicated by means of a bright curve drawn
- * on top of the clock's circular border.</p>
+ * on top of the clock's circular border, graded into the
+ * {@link Clock.twilight twilight} phases towards the night.
+ * The time the moon is up is drawn as a second curve, inside the first one,
+ * and a {@link Clock#drawMoon sub-dial} shows the phase of the moon.</p>
  *
  * <pre>
  * Documentation:
@@ -57,27 +66,6 @@
 
 "use strict";
 
-/**
- * @var {HTMLElement} canvas HTML Canvas.
- */
-var canvas = document.getElementById("clock");
-
-/**
- * @var {CanvasRenderingContext2D} context Clock canvas context.
- * @see https://developer.mozilla.org/en-US/docs/Web/API/CanvasRenderingContext2D
- */
-var context = canvas.getContext("2d");
-
-/**
- * @var {CanvasRenderingContext2D} ctx Handle canvas context.
- */
-var ctx = document.getElementById("handles").getContext("2d");
-
-/**
- * @var {CanvasRenderingContext2D} lctx Legend canvas context.
- */
-var lctx = document.getElementById("legend").getContext("2d");
-
 /** π */
 const pi = Math.PI;
 
@@ -107,22 +95,26 @@ const white2 = style.getPropertyValue("--cwhite2");
 // 6 and 18 and 24h handle color.
 const white3 = style.getPropertyValue("--cwhite3");
 
-/**
- * Clock radius.
- * @type {Number}
- */
-var clockRadius = Math.min(canvas.width, canvas.height) / 3.1;
+// Golden hour color.
+const gold = style.getPropertyValue("--cgold");
 
-/**
- * Canvas center.
- * @type {point}
- */
-var center = [canvas.width / 2, canvas.height / 2];
+// Civil twilight color.
+const skyblue = style.getPropertyValue("--cskyblue");
+
+// Nautical twilight color.
+const blue = style.getPropertyValue("--cblue");
+
+// Astronomical twilight and moon shadow color.
+const navy = style.getPropertyValue("--cnavy");
+
+// Moon arc color.
+const silver = style.getPropertyValue("--csilver");
 
 /**
- * Clock location UTC offset.
+ * Time zone of the browser.
+ * @type {String}
  */
-var cityOffset = null;
+const localZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
 
 /**
  * Get the image scale.
@@ -161,7 +153,9 @@ function setFont(size) {
  * @typedef {Object} tz
  * @property {String} tz.city - name.
  * @property {String} tz.region - TZ identifier.
- * @property {Number} tz.offset - UTC offset.
+ * @property {String} [tz.timeZone] - IANA time zone, when it is not region/city.
+ * @property {Number} [tz.offset] - standard UTC offset, informative only:
+ * the clock derives the actual offset from the {@link zoneId IANA zone}.
  * @property {Object} tz.geodetic
  * @property {Number} tz.geodetic.latitude - latitude.
  * @property {Number} tz.geodetic.longitude - longitude.
@@ -187,6 +181,96 @@ function polar2Cartesian(radius, angle) {
   };
 }
 
+/**
+ * Whether a string is an IANA time zone known to this browser.
+ *
+ * @param {String} timeZone e.g. "America/Sao_Paulo".
+ * @returns {Boolean} true if Intl accepts the time zone.
+ */
+function isTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * IANA time zone of a location: its "timeZone" field or,
+ * if there is none, region/city.
+ *
+ * @param {tz} city time zone descriptor.
+ * @returns {String} IANA time zone identifier.
+ */
+function zoneId(city) {
+  return city.timeZone || `${city.region}/${city.city}`;
+}
+
+/**
+ * <p>UTC offset of a time zone at a given date, in minutes.</p>
+ * Daylight saving time is taken into account, because the wall clock time
+ * of the zone is obtained from Intl and compared with UTC.
+ *
+ * @param {String} [timeZone] IANA time zone, or undefined for the browser's.
+ * @param {Date} [date] instant of the offset.
+ * @returns {Number} minutes east of Greenwich, e.g. 330 for Asia/Kolkata.
+ * @see https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Intl/DateTimeFormat/formatToParts
+ */
+function zoneOffset(timeZone, date = new Date()) {
+  zoneOffset.formats = zoneOffset.formats || {};
+  let format = zoneOffset.formats[timeZone];
+  if (!format) {
+    format = zoneOffset.formats[timeZone] = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    });
+  }
+  let t = {};
+  format.formatToParts(date).forEach((p) => (t[p.type] = +p.value));
+  let wall = Date.UTC(t.year, t.month - 1, t.day, t.hour, t.minute, t.second);
+  let utc = date.getTime() - date.getMilliseconds();
+  return Math.round((wall - utc) / 60000);
+}
+
+/**
+ * <p>Time of a date on the wall clock of a time zone, as "hours:minutes".</p>
+ * It already accounts for daylight saving time, and is the format
+ * expected by {@link arc}.
+ *
+ * @param {Date} date instant to be shown.
+ * @param {String} [timeZone] IANA time zone, or undefined for the browser's.
+ * @returns {String} e.g. "18:07".
+ * @see https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Date/toLocaleTimeString
+ */
+function wallClock(date, timeZone) {
+  return date.toLocaleTimeString("en-GB", {
+    timeZone,
+    hourCycle: "h23",
+    hour: "numeric",
+    minute: "numeric",
+  });
+}
+
+/**
+ * Format a UTC offset given in hours, e.g. "UTC -3", "UTC +5:30" or "UTC 0".
+ *
+ * @param {Number} hours UTC offset, possibly fractional.
+ * @returns {String} offset for the legend.
+ */
+function formatOffset(hours) {
+  let minutes = Math.round(Math.abs(hours) * 60);
+  let hm = `${Math.floor(minutes / 60)}`;
+  if (minutes % 60) hm += `:${String(minutes % 60).padStart(2, "0")}`;
+  return `UTC ${hours > 0 ? "+" : hours < 0 ? "-" : ""}${hm}`;
+}
+
 /**
  * Translate a point.
  *
@@ -218,6 +302,7 @@ function scale(pos, vec) {
 /**
  * Draw a circle.
  *
+ * @param {CanvasRenderingContext2D} context canvas context.
  * @param {point} center center of the circle.
  * @param {Number} radius radius of the circle.
  * @param {Boolean} fill draws a solid or hollow circle.
@@ -225,7 +310,7 @@ function scale(pos, vec) {
  * @see https://developer.mozilla.org/en-US/docs/Web/API/CanvasRenderingContext2D/stroke
  * @see https://developer.mozilla.org/en-US/docs/Web/API/CanvasRenderingContext2D/closePath
  */
-function circle(center, radius, fill = true) {
+function circle(context, center, radius, fill = true) {
   context.beginPath();
   context.arc(center[0], center[1], radius, 0, 2 * pi);
   if (fill) context.fill();
@@ -235,6 +320,7 @@ function circle(center, radius, fill = true) {
 /**
  * Draw an arc.
  *
+ * @param {CanvasRenderingContext2D} context canvas context.
  * @param {point} center center of the arc.
  * @param {Number} radius radius of the arc.
  * @param {String} t1 time of start of the arc.
@@ -245,7 +331,7 @@ function circle(center, radius, fill = true) {
  * @see https://developer.mozilla.org/en-US/docs/Web/API/CanvasRenderingContext2D/closePath
  * @see https://developer.mozilla.org/en-US/docs/Web/API/CanvasRenderingContext2D/arc
  */
-function arc(center, radius, t1, t2, fill = true) {
+function arc(context, center, radius, t1, t2, fill = true) {
   let [arcInit, arcEnd] = [t1, t2].map((t) => {
     let [hour, minutes] = t.split(":").map((q) => Number(q));
     return 0.5 * (fiveMin * (hour + minutes / 60) - pi);
@@ -258,21 +344,187 @@ function arc(center, radius, t1, t2, fill = true) {
 }
 
 /**
- * Read the time zone descriptors of a set of locations from a
- * <a href="../clock/localtime.json">json file</a>.
+ * URL of the bundled <a href="../clock/localtime.json">localtime.json</a>,
+ * resolved against this script, so the clock works wherever it is hosted.
+ * @type {String}
+ */
+const bundledZonesURL = new URL(
+  "localtime.json",
+  (document.currentScript && document.currentScript.src) || location.href
+).href;
+
+/**
+ * <p>Check that a time zone list has the shape of
+ * <a href="../clock/localtime.json">localtime.json</a>:
+ * an object with a non-empty "cities" array of {@link tz} entries.</p>
+ * Every malformed entry is reported, not just the first one.
+ *
+ * @param {Object} zones parsed time zone list.
+ * @param {String} source where the list came from, used in the error message.
+ * @returns {Object} the same list, when it is valid.
+ * @throws {TypeError} naming the source and each malformed entry.
+ */
+function validateZones(zones, source) {
+  const isName = (v) => typeof v === "string" && v.trim() !== "";
+  const inRange = (v, min, max) =>
+    typeof v === "number" && Number.isFinite(v) && v >= min && v <= max;
+
+  if (zones === null || typeof zones !== "object" || !Array.isArray(zones.cities)) {
+    throw new TypeError(`${source}: expected an object with a "cities" array.`);
+  }
+  if (zones.cities.length === 0) {
+    throw new TypeError(`${source}: the "cities" array is empty.`);
+  }
+
+  let errors = [];
+  zones.cities.forEach((c, i) => {
+    let entry = `cities[${i}]`;
+    if (c === null || typeof c !== "object") {
+      errors.push(`${entry}: expected an object.`);
+      return;
+    }
+    if (isName(c.city)) entry += ` (${c.city})`;
+    else errors.push(`${entry}: "city" must be a non-empty string.`);
+    if (!isName(c.region)) {
+      errors.push(`${entry}: "region" must be a non-empty string.`);
+    }
+    if (c.timeZone !== undefined && !isName(c.timeZone)) {
+      errors.push(`${entry}: "timeZone" must be a non-empty string.`);
+    } else if (isName(c.region) && isName(c.city) && !isTimeZone(zoneId(c))) {
+      errors.push(`${entry}: "${zoneId(c)}" is not an IANA time zone, set "timeZone".`);
+    }
+    if (c.offset !== undefined && !inRange(c.offset, -12, 14)) {
+      errors.push(`${entry}: "offset" must be a number of hours in [-12, 14].`);
+    }
+    let coords = c.coordinates;
+    if (coords === null || typeof coords !== "object") {
+      errors.push(`${entry}: "coordinates" must be an object.`);
+    } else {
+      if (!inRange(coords.latitude, -90, 90)) {
+        errors.push(`${entry}: "coordinates.latitude" must be a number in [-90, 90].`);
+      }
+      if (!inRange(coords.longitude, -180, 180)) {
+        errors.push(`${entry}: "coordinates.longitude" must be a number in [-180, 180].`);
+      }
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new TypeError(`${source}: malformed time zone list.\n  ${errors.join("\n  ")}`);
+  }
+  return zones;
+}
+
+/**
+ * Fetch and validate a time zone list.
  *
  * @async
- * @returns {Promise<Array<tz>>} array of time zones.
+ * @param {String} url location of the json file.
+ * @returns {Promise<Object>} the validated time zone list.
+ * @throws {Error} if the file cannot be fetched, parsed or validated.
  */
-async function readZones() {
-  const requestURL = `${location.protocol}/cwdc/10-html5css3/clock/localtime.json`;
-  const request = new Request(requestURL);
+async function fetchZones(url) {
+  const request = new Request(url);
 
   const response = await fetch(request);
+  if (!response.ok) {
+    throw new Error(`${url}: HTTP ${response.status} ${response.statusText}`);
+  }
   const timeZonesText = await response.text();
-  const timeZones = JSON.parse(timeZonesText);
+  let timeZones;
+  try {
+    timeZones = JSON.parse(timeZonesText);
+  } catch (e) {
+    throw new SyntaxError(`${url}: ${e.message}`);
+  }
+
+  return validateZones(timeZones, url);
+}
+
+/**
+ * <p>Read the time zone descriptors of a set of locations.</p>
+ * The list comes from the first of these sources that is set on the
+ * #clock canvas, or on the #clocks grid of the world clocks page:
+ * <ul>
+ *  <li>data-zones: the list itself, as inline JSON;</li>
+ *  <li>data-zones-url: the URL of a json file;</li>
+ * </ul>
+ * or, otherwise, from the bundled <a href="../clock/localtime.json">json file</a>.
+ * A configured source that is unreachable or malformed is reported in the console,
+ * and the bundled file is used instead.
+ * The list is read only once and shared by all callers.
+ *
+ * @async
+ * @returns {Promise<Array<tz>>} array of time zones.
+ * @throws {Error} if not even the bundled file can be read.
+ * @example
+ * <canvas id="clock" width="512" height="512" data-zones-url="/data/cities.json"></canvas>
+ */
+async function readZones() {
+  if (!readZones.zones) {
+    readZones.zones = loadZones();
+    // allow a retry later, if it failed
+    readZones.zones.catch(() => (readZones.zones = null));
+  }
+  return readZones.zones;
+}
+
+/**
+ * Load the time zone list from the {@link readZones configured source}.
+ *
+ * @async
+ * @returns {Promise<Array<tz>>} array of time zones.
+ */
+async function loadZones() {
+  const source = document.querySelector("[data-zones], [data-zones-url]");
+  const { zones, zonesUrl } = source ? source.dataset : {};
+  try {
+    if (zones) {
+      let timeZones;
+      try {
+        timeZones = JSON.parse(zones);
+      } catch (e) {
+        throw new SyntaxError(`data-zones: ${e.message}`);
+      }
+      return validateZones(timeZones, "data-zones");
+    }
+    if (zonesUrl) {
+      return await fetchZones(new URL(zonesUrl, location.href).href);
+    }
+  } catch (e) {
+    console.error(`${e.message}\nUsing the bundled ${bundledZonesURL} instead.`);
+  }
+  return fetchZones(bundledZonesURL);
+}
+
+/**
+ * Address of the public
+ * {@link https://nominatim.org Nominatim} server of OpenStreetMap.
+ * @type {String}
+ */
+const nominatimURL = "https://nominatim.openstreetmap.org";
+
+/**
+ * Fetch a json response from a geocoding server.
+ *
+ * @async
+ * @param {String} url request URL.
+ * @returns {Promise<Object>} parsed response.
+ * @throws {Error} if the server cannot be reached or does not answer with json.
+ */
+async function fetchGeocoding(url) {
+  const request = new Request(url);
 
-  return timeZones;
+  const response = await fetch(request);
+  if (!response.ok) {
+    throw new Error(`${url}: HTTP ${response.status} ${response.statusText}`);
+  }
+  const text = await response.text();
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new SyntaxError(`${url}: ${e.message}`);
+  }
 }
 
 /**
@@ -283,6 +535,7 @@ async function readZones() {
  *
  * @param {Number} lat latitude.
  * @param {Number} long longitude.
+ * @param {String} [server] Nominatim server, the public one by default.
  * @async
  * @returns {Promise<Array<String>>} <a href="../clock/Fluminense-reverse.json">address array</a>: [house_number, road, city, suburb, country].
  * @see https://operations.osmfoundation.org/policies/nominatim/
@@ -293,20 +546,20 @@ async function readZones() {
  * <a href="https://www.openstreetmap.org/#map=19/-22.93599/-43.18456">View Larger Map</a>
  * </small>
  */
-async function reverseGeoCoding(lat, long) {
+async function reverseGeoCoding(lat, long, server = nominatimURL) {
   const requestURL =
-    "https://nominatim.openstreetmap.org/reverse?format=json&lat=" +
+    `${server}/reverse?format=json&lat=` +
     lat +
     "&lon=" +
     long +
     "&zoom=18&addressdetails=1";
-  const request = new Request(requestURL);
-
-  const response = await fetch(request);
-  const positionText = await response.text();
-  const position = JSON.parse(positionText);
+  const position = await fetchGeocoding(requestURL);
 
   // console.log(position);
+  // e.g. {"error": "Unable to geocode"}
+  if (!position.address) {
+    throw new Error(`${requestURL}: ${position.error || "no address"}`);
+  }
   // Object Destructuring
   const { house_number, road, city, suburb, country } = position.address;
   return [house_number, road, city, suburb, country];
@@ -318,6 +571,7 @@ async function reverseGeoCoding(lat, long) {
  * given an address, e.g. "sao_paulo,brazil" or "london,england".
  *
  * @param {String} address location.
+ * @param {String} [server] Nominatim server, the public one by default.
  * @async
  * @returns {Promise<Array<Number>>} <a href="../clock/Fluminense.json">geodetic array</a>: [latitude, longitude].
  * @see https://operations.osmfoundation.org/policies/nominatim/
@@ -326,20 +580,122 @@ async function reverseGeoCoding(lat, long) {
  * @see <a href="../clock/Flusao.png"><img src="../clock/Flusao-512.png"></a>
  * @see <a href="../clock/Fluminense.html">Laranjeiras</a>
  */
-async function geoCoding(address) {
-  const requestURL = `https://nominatim.openstreetmap.org/search?format=json&q=${address}`;
-  const request = new Request(requestURL);
-
-  const response = await fetch(request);
-  const geoCodingText = await response.text();
-  const geoCoding = JSON.parse(geoCodingText);
+async function geoCoding(address, server = nominatimURL) {
+  const requestURL = `${server}/search?format=json&q=${encodeURIComponent(address)}`;
+  const geoCoding = await fetchGeocoding(requestURL);
 
   // console.log(geoCoding);
+  if (!Array.isArray(geoCoding) || geoCoding.length === 0) {
+    throw new Error(`${address}: not found by ${server}.`);
+  }
   // Object Destructuring
   const { lat, lon } = geoCoding[0];
   return [lat, lon];
 }
 
+/**
+ * URL of the bundled <a href="../clock/zones.json">zones.json</a>,
+ * with the coordinates of every IANA time zone.
+ * @type {String}
+ */
+const bundledCentroidsURL = new URL("zones.json", bundledZonesURL).href;
+
+/**
+ * Canonical name of an IANA time zone, as known to this browser,
+ * which may be an older one, e.g. "Asia/Calcutta" for "Asia/Kolkata".
+ *
+ * @param {String} timeZone IANA time zone.
+ * @returns {String} canonical time zone.
+ */
+function canonicalZone(timeZone) {
+  return new Intl.DateTimeFormat("en-US", { timeZone }).resolvedOptions().timeZone;
+}
+
+/**
+ * <p>Read the coordinates of the principal location of every IANA time zone
+ * from the bundled <a href="../clock/zones.json">zones.json</a>.</p>
+ * The table is read only once, and its time zones are
+ * {@link canonicalZone canonicalized}, so they can be found by any of their names.
+ * Time zones unknown to this browser are left out.
+ *
+ * @async
+ * @returns {Promise<Map<String, Object<{latitude, longitude}>>>} coordinates by time zone.
+ * @throws {Error} if the file cannot be fetched or parsed.
+ */
+async function readCentroids() {
+  if (!readCentroids.table) {
+    readCentroids.table = (async () => {
+      const response = await fetch(new Request(bundledCentroidsURL));
+      if (!response.ok) {
+        throw new Error(
+          `${bundledCentroidsURL}: HTTP ${response.status} ${response.statusText}`
+        );
+      }
+      const { coordinates } = JSON.parse(await response.text());
+      let table = new Map();
+      for (let [timeZone, coords] of Object.entries(coordinates)) {
+        if (isTimeZone(timeZone)) table.set(canonicalZone(timeZone), coords);
+      }
+      return table;
+    })();
+    // allow a retry later, if it failed
+    readCentroids.table.catch(() => (readCentroids.table = null));
+  }
+  return readCentroids.table;
+}
+
+/**
+ * A located time zone.
+ *
+ * @typedef {Object} zone
+ * @property {String} name - region/city shown in the legend.
+ * @property {String} timeZone - IANA time zone.
+ * @property {Object<{latitude, longitude}>} coordinates - location, or null if unknown.
+ * @property {tz} [city] - the entry of the {@link readZones time zone list}, if any.
+ */
+
+/**
+ * <p>Find the location of an IANA time zone.</p>
+ * The {@link readZones time zone list} is searched first,
+ * so its cities keep their names and coordinates,
+ * and then the {@link readCentroids zones table}.
+ *
+ * @async
+ * @param {String} timeZone IANA time zone, e.g. "Asia/Tokyo",
+ * or region/city of the time zone list, e.g. "Brazil/Rio_de_Janeiro".
+ * @returns {Promise<zone>} the located time zone.
+ */
+async function locateZone(timeZone) {
+  const canonical = isTimeZone(timeZone) ? canonicalZone(timeZone) : null;
+  let cities = [];
+  try {
+    ({ cities } = await readZones());
+  } catch (e) {
+    console.error(e);
+  }
+  // a city named after the time zone, e.g. America/Sao_Paulo,
+  // comes before another city in it, e.g. Brazil/Rio_de_Janeiro
+  let city =
+    cities.find((c) => `${c.region}/${c.city}` === timeZone) ||
+    cities.find((c) => !c.timeZone && canonicalZone(zoneId(c)) === canonical) ||
+    cities.find((c) => canonicalZone(zoneId(c)) === canonical);
+  if (city) {
+    return {
+      name: `${city.region}/${city.city}`,
+      timeZone: zoneId(city),
+      coordinates: city.coordinates,
+      city,
+    };
+  }
+  let coordinates = null;
+  try {
+    if (canonical) coordinates = (await readCentroids()).get(canonical) || null;
+  } catch (e) {
+    console.error(e);
+  }
+  return { name: timeZone, timeZone, coordinates };
+}
+
 /**
  * <p>Returns a time zone geographic descriptor given a location name.</p>
  * The {@link readZones json file} is read and searched for.
@@ -363,6 +719,162 @@ async function findCity(name) {
   return [tz, city];
 }
 
+/**
+ * A geocoding provider, used by {@link displayLocation}.
+ *
+ * @typedef {Object} geocoder
+ * @property {String} name - identifies the provider, e.g. in the {@link cachedGeocoder cache}.
+ * @property {function(Number, Number): Promise<Array<String>>} reverse - given latitude and longitude,
+ * the address array: [house_number, road, city, suburb, country].
+ * @property {function(String): Promise<Array<Number>>} search - given an address,
+ * the geodetic array: [latitude, longitude].
+ */
+
+/**
+ * <p>A geocoder that asks a Nominatim server.</p>
+ * Besides the public server, it may be a local stand-in that answers
+ * /reverse and /search with files such as
+ * <a href="../clock/Fluminense-reverse.json">Fluminense-reverse.json</a> and
+ * <a href="../clock/Fluminense.json">Fluminense.json</a>.
+ *
+ * @param {String} [server] server address.
+ * @returns {geocoder} the provider.
+ */
+function nominatimGeocoder(server = nominatimURL) {
+  return {
+    name: server,
+    reverse: (lat, long) => reverseGeoCoding(lat, long, server),
+    search: (address) => geoCoding(address, server),
+  };
+}
+
+/**
+ * Great-circle distance between two locations, by the
+ * {@link https://en.wikipedia.org/wiki/Haversine_formula haversine formula}.
+ *
+ * @param {Object<{latitude, longitude}>} a first location.
+ * @param {Object<{latitude, longitude}>} b second location.
+ * @returns {Number} distance in kilometers.
+ */
+function distance(a, b) {
+  const rad = pi / 180;
+  const dlat = (b.latitude - a.latitude) * rad;
+  const dlong = (b.longitude - a.longitude) * rad;
+  const h =
+    Math.sin(dlat / 2) ** 2 +
+    Math.cos(a.latitude * rad) * Math.cos(b.latitude * rad) * Math.sin(dlong / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * <p>An offline geocoder, whose gazetteer is the {@link readZones time zone list}.</p>
+ * A location is reverse geocoded to its nearest city, with the distance to it,
+ * and only the cities of the list can be searched for.
+ *
+ * @type {geocoder}
+ */
+const gazetteerGeocoder = {
+  name: "gazetteer",
+
+  async reverse(lat, long) {
+    const { cities } = await readZones();
+    const here = { latitude: +lat, longitude: +long };
+    let nearest = cities[0];
+    for (let c of cities) {
+      if (distance(here, c.coordinates) < distance(here, nearest.coordinates)) nearest = c;
+    }
+    let km = Math.round(distance(here, nearest.coordinates));
+    let city = nearest.city.replaceAll("_", " ");
+    return [undefined, undefined, km > 0 ? `${city} (${km} km)` : city, undefined, nearest.region];
+  },
+
+  async search(address) {
+    const { cities } = await readZones();
+    const name = address.split(",")[0].trim().replaceAll(" ", "_").toLowerCase();
+    const city = cities.find((c) => c.city.toLowerCase() === name);
+    if (!city) throw new Error(`${address}: not in the gazetteer.`);
+    return [city.coordinates.latitude, city.coordinates.longitude];
+  },
+};
+
+/**
+ * Maximum number of geocoder answers kept by the {@link cachedGeocoder cache}.
+ * @type {Number}
+ */
+const geocoderCacheSize = 100;
+
+/**
+ * <p>Wrap a geocoder so its answers are kept in the
+ * {@link https://developer.mozilla.org/en-US/docs/Web/API/Window/localStorage local storage}.</p>
+ * A location is asked only once, which spares the
+ * {@link https://operations.osmfoundation.org/policies/nominatim/ usage limits} of the server.
+ * Coordinates are rounded to four decimals (about 11 m), so that a
+ * jittering GPS hits the same entry, and only the latest
+ * {@link geocoderCacheSize} answers are kept.
+ * Failures are not stored, and an unavailable storage just disables the cache.
+ *
+ * @param {geocoder} provider geocoder to be cached.
+ * @returns {geocoder} the cached provider.
+ */
+function cachedGeocoder(provider) {
+  const cached = (method, round) => async (...args) => {
+    if (round) args = args.map((coordinate) => Number(coordinate).toFixed(4));
+    const key = `geocoder:${provider.name}:${method}:${args.join(",")}`;
+    try {
+      let value = localStorage.getItem(key);
+      if (value !== null) return JSON.parse(value);
+    } catch (e) {
+      // no storage, e.g. blocked by the browser
+    }
+    let value = await provider[method](...args);
+    try {
+      // oldest first, so the head of the list is evicted
+      let keys = JSON.parse(localStorage.getItem("geocoder:keys")) || [];
+      keys = keys.filter((k) => k !== key);
+      keys.push(key);
+      while (keys.length > geocoderCacheSize) localStorage.removeItem(keys.shift());
+      localStorage.setItem(key, JSON.stringify(value));
+      localStorage.setItem("geocoder:keys", JSON.stringify(keys));
+    } catch (e) {
+      // storage full, blocked or corrupted
+    }
+    return value;
+  };
+  return {
+    name: provider.name,
+    reverse: cached("reverse", true),
+    search: cached("search", false),
+  };
+}
+
+/**
+ * <p>The geocoder of the page, chosen by the data-geocoder attribute
+ * of the #clock canvas:</p>
+ * <ul>
+ *  <li>"local": the offline {@link gazetteerGeocoder gazetteer};</li>
+ *  <li>the URL of a Nominatim server, e.g. a local stand-in;</li>
+ * </ul>
+ * or, otherwise, the public Nominatim server.
+ * Server answers are {@link cachedGeocoder cached}.
+ *
+ * @returns {geocoder} the geocoder.
+ * @example
+ * <canvas id="clock" width="512" height="512" data-geocoder="local"></canvas>
+ */
+function getGeocoder() {
+  if (!getGeocoder.provider) {
+    const source = document.querySelector("[data-geocoder]");
+    const name = source ? source.dataset.geocoder : "";
+    if (name === "local") {
+      getGeocoder.provider = gazetteerGeocoder;
+    } else {
+      const server = name ? new URL(name, location.href).href : nominatimURL;
+      getGeocoder.provider = cachedGeocoder(nominatimGeocoder(server.replace(/\/$/, "")));
+    }
+  }
+  return getGeocoder.provider;
+}
+
 /**
  * Display a time zone location in an element identified by #address
  * <ul>
@@ -377,20 +889,39 @@ async function findCity(name) {
  *    2, North Central Avenue, Phoenix, United States
  *    Latitude: 33.44844, Longitude: -112.07414
  * </pre>
+ * <p>The {@link getGeocoder geocoder} of the page is used.
+ * If it fails, e.g. offline or when rate limited, the {@link gazetteerGeocoder gazetteer}
+ * is used instead, and if even that fails, just the coordinates are shown.</p>
+ * The address is dropped if the {@link mainClock clock} changes its time zone
+ * while it is looked up.
+ *
  * @param {Number} latitude a coordinate that specifies the north–south position of a point on the surface.
  * @param {Number} longitude measures distance east or west of the prime meridian.
  * @param {String} city name of a city.
  * @param {String} region Africa | America | Asia | Atlantic | Australia | Europe | Indian | Pacific
  */
 async function displayLocation(latitude, longitude, city, region) {
-  let pos = await reverseGeoCoding(latitude, longitude);
-  let geocode =
-    city !== undefined && region !== undefined
-      ? await geoCoding(`${city},${region}`)
-      : [latitude, longitude];
+  let generation = mainClock?.generation;
+  let pos = ["Address unavailable"];
+  let geocode = [latitude, longitude];
+  for (let provider of new Set([getGeocoder(), gazetteerGeocoder])) {
+    try {
+      pos = await provider.reverse(latitude, longitude);
+      if (city !== undefined && region !== undefined) {
+        geocode = await provider.search(`${city},${region}`);
+      }
+      break;
+    } catch (e) {
+      console.error(`${provider.name}: ${e.message}`);
+      pos = ["Address unavailable"];
+      geocode = [latitude, longitude];
+    }
+  }
+  if (generation !== mainClock?.generation) return;
   let tag = document.querySelector("#address");
   tag.innerHTML = `${pos
-    .filter((str) => str !== undefined)
+    // cached addresses have null instead of undefined
+    .filter((str) => str !== undefined && str !== null)
     .join(", ")} <br> Latitude: ${Number(geocode[0]).toFixed(
     5
   )}, Longitude: ${Number(geocode[1]).toFixed(5)}
@@ -424,347 +955,488 @@ function preloadImages(urls) {
 }
 
 /**
- * Draw the clock background:
- * <ul>
- *  <li>a <a href="../clock/rolex_bezel.png">bezel</a> image,</li>
- *  <li>a <a href="../clock/fluminense.png">team</a> logo,</li>
- *  <li>a {@link circle}, </li>
- *  <li>the {@link drawArc sun light arc}, </li>
- *  <li>and the ticks.</li>
- * </ul>
- *
- * @param {String} place a location name.
- * @property {function} drawClock
- * @property {function} drawClock.location Increment/decrement the clock location.
- * @property {Array<tz>} drawClock.tz time zone array.
- * @property {Array<{txt: String, c: color}>} drawClock.romans Clock roman x color.
- * @property {Array<{txt: String, c: color}>} drawClock.decimals Clock number x color.
+ * <p>A modulo function, added to Number's
+ * {@link https://www.freecodecamp.org/news/a-beginners-guide-to-javascripts-prototype/ prototype},
+ * that works for negative numbers.</p>
+ * The modulo is calculated from remainder using the modular property:<br/>
+ * • (a + b) mod c = (a mod c + b mod c) mod c.
  *
- * @see https://developer.mozilla.org/en-US/docs/Web/API/CanvasRenderingContext2D/drawImage
- * @see https://developer.mozilla.org/en-US/docs/Web/API/Canvas_API/Tutorial/Using_images
- * @see https://developer.mozilla.org/en-US/docs/Web/API/HTMLImageElement/decode
- * @see https://developer.mozilla.org/en-US/docs/Web/API/Geolocation_API/Using_the_Geolocation_API
- * @see https://en.wikipedia.org/wiki/Solar_time
+ * @function
+ * @param {Number} b divisor.
+ * @returns {Number} this modulo b.
+ * @memberof Number
+ * @global
+ * @see https://en.wikipedia.org/wiki/Modulo_operation
+ * @see https://www.geeksforgeeks.org/how-to-get-negative-result-using-modulo-operator-in-javascript/
  */
-function drawClock(place) {
-  context.clearRect(0, 0, canvas.width, canvas.height);
-
-  const urls = ["./rolex_bezel.png", "./cruzeiro.png"];
-
-  preloadImages(urls)
-    .then((image) => {
-      let bezel = image[0];
-      // Translate the center of the bezel
-      // to the center of the canvas.
-      let size = imgSize(bezel.width, bezel.height, 1.8 * clockRadius);
-      var coord = translate(scale(size, [-1 / 2, -1 / 2]), center);
-      context.rotate = pi;
-      context.drawImage(bezel, coord.x, coord.y, size[0], size[1]);
-      context.setTransform(1, 0, 0, 1, 0, 0);
-
-      let flu = image[1];
-      // Translate the center of the flu logo
-      // to the center of the canvas.
-      size = imgSize(flu.width, flu.height, 0.9 * clockRadius);
-      coord = translate(scale(size, [-1 / 2, -1 / 2]), center);
-      context.drawImage(flu, coord.x, coord.y, size[0], size[1]);
-      // Handle origin.
-      context.strokeStyle = grena;
-      context.fillStyle = white;
-      circle(center, 10);
-      circle(center, 10, false);
-    })
-    .catch((error) => {
-      console.log(`Could not load iamge: ${error}`);
-    });
-
-  // context.globalAlpha = 0.3; // set global alpha
-
-  // Draw clock border.
-  context.strokeStyle = grena;
-  context.lineWidth = 3;
-  circle(center, clockRadius - 8, false);
-
-  if (place !== undefined) drawClock.place = place;
+Number.prototype.mod = function (b) {
+  return ((this % b) + b) % b;
+};
 
-  navigator.geolocation.getCurrentPosition(
-    (position) => {
-      // this is an asynchronous callback
-      let lat = position.coords.latitude;
-      let lng = position.coords.longitude;
-      drawArc({
-        latitude: lat,
-        longitude: lng,
-      });
-      displayLocation(lat, lng);
-    },
-    async () => {
-      // safari blocks geolocation unless using a secure connection
-      let city;
-      [drawClock.tz, city] = await findCity(drawClock.place);
-      if (city) {
-        let lat = city.coordinates.latitude;
-        let lng = city.coordinates.longitude;
-        drawArc({ latitude: lat, longitude: lng }, city.offset);
-        displayLocation(lat, lng, city.city, city.region);
-      }
-    },
-    {
-      enableHighAccuracy: true,
-      timeout: 5000,
-      maximumAge: 0,
-    }
-  );
+/**
+ * <p>The time shown by the clocks.</p>
+ * It is the real time or, in the time travel mode, a virtual time
+ * that starts at a given instant and runs at a given speed,
+ * e.g. to preview a solstice, a daylight saving time transition or a match kickoff.
+ *
+ * @namespace
+ */
+const virtualTime = {
+  /**
+   * Virtual time, in milliseconds, when it was set, or null for the real time.
+   * @type {Number}
+   */
+  origin: null,
 
   /**
-   * <p>Callback for key pressed.</p>
-   * Valid keys:
-   * <ul>
-   *  <li>n: next city.</li>
-   *  <li>N: previous city.</li>
-   *  <li>b: back to cwdc</li>
-   *  <li>B: back to 10-html5css3</li>
-   *  <li>⌘-esc or ⌘-e: clear local storage</li>
-   * </ul>
-   * @event KeyboardEvent
-   * @param {KeyboardEvent} event keyboard event.
+   * Real time, in milliseconds, when the virtual time was set.
+   * @type {Number}
    */
-  window.onkeydown = function (event) {
-    if (event.key === "n" || event.key === "N") {
-      drawClock.location(event.key);
-    } else if (event.key === "Escape" || event.key === "e") {
-      if (event.metaKey || event.ctrlKey) {
-        localStorage.clear();
-        alert("Local storage has been cleared");
-      }
-    } else if (event.key == "b") {
-      window.location.href = "/cwdc";
-    } else if (event.key == "B") {
-      let path = window.location.pathname;
-      window.location.href = path.split("/", 3).join("/");
-    }
-  };
+  start: 0,
 
   /**
-   * <p>A modulo function, added to Number's
-   * {@link https://www.freecodecamp.org/news/a-beginners-guide-to-javascripts-prototype/ prototype},
-   * that works for negative numbers.</p>
-   * The modulo is calculated from remainder using the modular property:<br/>
-   * • (a + b) mod c = (a mod c + b mod c) mod c.
-   *
-   * @function
-   * @param {Number} b divisor.
-   * @returns {Number} this modulo b.
-   * @memberof Number
-   * @global
-   * @see https://en.wikipedia.org/wiki/Modulo_operation
-   * @see https://www.geeksforgeeks.org/how-to-get-negative-result-using-modulo-operator-in-javascript/
+   * Virtual seconds per real second: 0 stops the time, and 3600 runs an hour a second.
+   * @type {Number}
    */
-  Number.prototype.mod = function (b) {
-    return ((this % b) + b) % b;
-  };
+  speed: 1,
 
   /**
-   * Draw the sun light arc.
-   *
-   * @global
-   * @param {Object<{latitude, longitude}>} loc location.
-   * @param {Number} utcoff UTC offset.
-   * @see https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Date/getTimezoneOffset
-   * @see https://wtfjs.com/wtfs/2010-02-15-undefined-is-mutable
+   * Current time of the clocks.
+   * @returns {Date} the virtual time, or the real time if none has been set.
    */
-  function drawArc(loc, utcoff) {
-    let today = new Date();
-    let times = SunCalc.getTimes(today, loc.latitude, loc.longitude);
+  now() {
+    if (this.origin === null) return new Date();
+    return new Date(this.origin + (Date.now() - this.start) * this.speed);
+  },
 
-    // your local timezone offset in minutes (e.g. -180).
-    // NOT the timezone offset of the date object.
-    let offset;
-    let timezoneOffset = today.getTimezoneOffset() / 60;
-    if (typeof utcoff === "undefined") {
-      offset = 0;
-      cityOffset = -timezoneOffset;
-    } else {
-      offset = timezoneOffset + utcoff;
-      cityOffset = utcoff;
-    }
-
-    // format sunrise time from the Date object
-    let sunriseStr =
-      times.sunrise.getHours() + offset + ":" + times.sunrise.getMinutes();
-
-    // format sunset time from the Date object
-    let sunsetStr =
-      times.sunset.getHours() + offset + ":" + times.sunset.getMinutes();
-
-    console.log(sunriseStr, sunsetStr);
-    context.strokeStyle = orange;
-    arc(center, clockRadius - 8, sunriseStr, sunsetStr, false);
-  }
-
-  // Draw the tick numbers.
-  context.textAlign = "center";
-  context.textBaseline = "middle";
-
-  // Draw 12 inner numbers.
-  context.font = setFont(clockRadius / 10);
-  drawClock.romans.map((n, i) => {
-    context.fillStyle = n.c;
-    var coord = polar2Cartesian(0.85 * clockRadius, i * fiveMin);
-    // translate to the center of the canvas
-    coord = translate(coord, center);
-    context.fillText(n.txt, coord.x, coord.y);
-  });
-
-  // Draw 24 outer numbers.
-  context.font = setFont(clockRadius / 20);
-  drawClock.decimals.map((n, i) => {
-    context.fillStyle = n.c;
-    // runs at half the speed
-    var coord = polar2Cartesian(1.01 * clockRadius, i * fiveMin * 0.5);
-    // translate to the center of the canvas
-    coord = translate(coord, center);
-    context.fillText(n.txt, coord.y, coord.x);
-  });
-}
-
-/**
- * <p>Clock roman x color.</p>
- * Each roman number may have a different color, so it does not
- * interfere with the background color.
- * @memberof {drawClock}
- * @member {Array<{txt: String, c: color}>} roman clock numbers.
- */
-drawClock.romans = [
-  { txt: "III", c: white1 },
-  { txt: "II", c: white1 },
-  { txt: "I", c: white1 },
-  { txt: "XII", c: grena },
-  { txt: "XI", c: white1 },
-  { txt: "X", c: white1 },
-  { txt: "IX", c: white1 },
-  { txt: "VIII", c: white1 },
-  { txt: "  VII  ", c: white1 },
-  { txt: "VI", c: grena },
-  { txt: "V", c: white1 },
-  { txt: "IV", c: white1 },
-];
-
-/**
- * <p>Clock number x color.</p>
- * Each number may have a different color, so it does not
- * interfere with the background color.
- * @memberof {drawClock}
- * @member {Array<{txt: String, c: color}>} decimal clock numbers.
- */
-drawClock.decimals = Array.from(Array(24), (_, i) => {
-  return { txt: String(i), c: white2 };
-});
-drawClock.decimals[0].txt = "24";
-drawClock.decimals[6].c = white3;
-drawClock.decimals[18].c = white3;
+  /**
+   * Enter the time travel mode.
+   * @param {Date} [date] virtual time from now on, the current one by default.
+   * @param {Number} [speed] virtual seconds per real second, the current ones by default.
+   */
+  set(date = this.now(), speed = this.speed) {
+    this.origin = date.getTime();
+    this.start = Date.now();
+    this.speed = speed;
+  },
 
-/**
- * Increment/decrement the clock location.
- * @async
- * @memberof {drawClock}
- * @global
- * @param {String} key "n" for next or "N" for previous.
- */
-drawClock.location = async (key) => {
-  if (drawClock.tz == undefined) {
-    drawClock.tz = await readZones();
-  }
-  let index = localStorage.getItem("placeIndex") || 0;
-  index = (+index + (key === "n" ? 1 : -1)).mod(drawClock.tz.cities.length);
-  localStorage.setItem("placeIndex", String(index));
-  let city = drawClock.tz.cities[index];
-  window.location.href =
-    window.location.href.split("?")[0] +
-    `?timeZone=${city.region}/${city.city}`;
+  /**
+   * Go back to the real time.
+   */
+  reset() {
+    this.origin = null;
+    this.speed = 1;
+  },
 };
 
 /**
- * Select next location.
+ * <p>An analog clock drawn on three stacked canvases of the same size:
+ * the background, the handles and the legend.</p>
+ * Each clock has its own geometry, time zone, daylight arc and legend,
+ * so a page may show as many clocks as it needs.
+ * The handles and legends of all clocks are redrawn by the single
+ * {@link runAnimation animation loop}.
+ *
+ * @example
+ * let clock = new Clock(
+ *   {
+ *     clock: document.getElementById("clock"),
+ *     handles: document.getElementById("handles"),
+ *     legend: document.getElementById("legend"),
+ *   },
+ *   "Asia/Tokyo"
+ * );
+ * clock.drawBackground();
+ * clock.drawArc({ latitude: 35.6895, longitude: 139.69171 });
+ * clock.drawMoon({ latitude: 35.6895, longitude: 139.69171 });
  */
-function nextLocation() {
-  drawClock.location("n");
-}
+class Clock {
+  /**
+   * <p>Clock roman x color.</p>
+   * Each roman number may have a different color, so it does not
+   * interfere with the background color.
+   * @type {Array<{txt: String, c: color}>}
+   */
+  static romans = [
+    { txt: "III", c: white1 },
+    { txt: "II", c: white1 },
+    { txt: "I", c: white1 },
+    { txt: "XII", c: grena },
+    { txt: "XI", c: white1 },
+    { txt: "X", c: white1 },
+    { txt: "IX", c: white1 },
+    { txt: "VIII", c: white1 },
+    { txt: "  VII  ", c: white1 },
+    { txt: "VI", c: grena },
+    { txt: "V", c: white1 },
+    { txt: "IV", c: white1 },
+  ];
 
-/**
- * Select previous location.
- */
-function previousLocation() {
-  drawClock.location("N");
-}
+  /**
+   * <p>Clock number x color.</p>
+   * Each number may have a different color, so it does not
+   * interfere with the background color.
+   * @type {Array<{txt: String, c: color}>}
+   */
+  static decimals = Array.from(Array(24), (_, i) => {
+    return {
+      txt: i === 0 ? "24" : String(i),
+      c: i === 6 || i === 18 ? white3 : white2,
+    };
+  });
 
-/**
- * A closure to run the animation.
- *
- * @function
- * @return {drawHandles}
- * @see https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Date
- * @see https://javascript.plainenglish.io/better-understanding-of-timers-in-javascript-settimeout-vs-requestanimationframe-bf7f99b9ff9b
- * @see https://attacomsian.com/blog/javascript-current-timezone
- */
-var runAnimation = (() => {
-  // clock handles width x length X color
-  const clock_handles = [
+  /**
+   * Clock handles width x length X color:
+   * hours, minutes, seconds and 24 hours.
+   * @type {Array<{width: Number, length: Number, c: color}>}
+   */
+  static handles = [
     { width: 8, length: 0.5, c: orange },
     { width: 8, length: 0.8, c: orange },
     { width: 2, length: 0.9, c: orange },
     { width: 1, length: 0.95, c: white3 },
   ];
-  const oneMin = pi / 30; // 6 degrees
-  let timer = null;
 
-  const queryString = window.location.search;
-  const urlParams = new URLSearchParams(queryString);
-  const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
-  let tz = urlParams.get("timeZone") || timezone;
-  let city = tz.split("/")[1];
-  // lets make a copy in case this is an invalid time zone,
-  // so we can keep using the original string
-  let tz2 = tz;
+  /**
+   * <p>Phases of the sun light arc, from the darkest to the brightest.</p>
+   * Each phase is drawn from the time the sun rises above its altitude
+   * to the time it sets below it, over the previous phases,
+   * with the names of the {@link SunCalc.getTimes sun times}.
+   * @type {Array<{name: String, start: String, end: String, altitude: Number, c: color}>}
+   * @see https://en.wikipedia.org/wiki/Twilight
+   * @see https://en.wikipedia.org/wiki/Golden_hour_(photography)
+   */
+  static twilight = [
+    { name: "Astronomical twilight", start: "nightEnd", end: "night", altitude: -18, c: navy },
+    { name: "Nautical twilight", start: "nauticalDawn", end: "nauticalDusk", altitude: -12, c: blue },
+    { name: "Civil twilight", start: "dawn", end: "dusk", altitude: -6, c: skyblue },
+    { name: "Golden hour", start: "sunrise", end: "sunset", altitude: -0.833, c: gold },
+    { name: "Daylight", start: "goldenHourEnd", end: "goldenHour", altitude: 6, c: orange },
+  ];
+
+  /**
+   * Clocks being animated.
+   * @type {Set<Clock>}
+   */
+  static instances = new Set();
+
+  /**
+   * Bezel and logo images, loaded once for all clocks.
+   * @type {Promise<HTMLImageElement[]>}
+   */
+  static images = null;
+
+  /**
+   * @param {Object} canvases the canvases of the clock.
+   * @param {HTMLCanvasElement} canvases.clock background canvas.
+   * @param {HTMLCanvasElement} canvases.handles handle canvas.
+   * @param {HTMLCanvasElement} canvases.legend legend canvas.
+   * @param {String} [name] region/city shown in the legend, or the browser's time zone if undefined.
+   * @param {String} [timeZone] IANA time zone of the clock, when the name is not one.
+   */
+  constructor({ clock, handles, legend }, name, timeZone) {
+    /** Background canvas. @type {HTMLCanvasElement} */
+    this.canvas = clock;
+    /** Clock canvas context. @type {CanvasRenderingContext2D} */
+    this.context = clock.getContext("2d");
+    /** Handle canvas context. @type {CanvasRenderingContext2D} */
+    this.ctx = handles.getContext("2d");
+    /** Legend canvas context. @type {CanvasRenderingContext2D} */
+    this.lctx = legend.getContext("2d");
+    /** Clock radius. @type {Number} */
+    this.clockRadius = Math.min(clock.width, clock.height) / 3.1;
+    /** Canvas center. @type {point} */
+    this.center = [clock.width / 2, clock.height / 2];
+    /**
+     * Clock location UTC offset, in hours, for the displayed date.
+     * It is fractional in zones such as Asia/Kolkata (+5:30).
+     * @type {Number}
+     */
+    this.cityOffset = null;
+    /**
+     * Location of the {@link Clock#drawArc sun light arc},
+     * where the sun marker and its altitude and azimuth are given for.
+     * @type {Object<{latitude, longitude}>}
+     */
+    this.location = null;
+    /**
+     * IANA time zone the sun light arc has been drawn in.
+     * @type {String}
+     */
+    this.locationZone = null;
+    /**
+     * Date of the last frame, so the arcs are redrawn when the day changes.
+     * @type {String}
+     */
+    this.date = null;
+    /**
+     * Incremented by {@link Clock#setZone} on every change of time zone,
+     * so that late asynchronous results, e.g. of the geolocation or the geocoder,
+     * can tell they are out of date and be dropped.
+     * @type {Number}
+     */
+    this.generation = 0;
+
+    this.name = name || localZone;
+    // an invalid time zone, e.g. no Rio de Janeiro ...
+    // falls back to the browser's
+    this.timeZone = timeZone || (isTimeZone(this.name) ? this.name : localZone);
+
+    Clock.instances.add(this);
+  }
+
+  /**
+   * Change the time zone of the clock. The location of the arcs is forgotten,
+   * until {@link Clock#drawArc} is called for the new one.
+   *
+   * @param {String} name region/city shown in the legend.
+   * @param {String} [timeZone] IANA time zone of the clock, when the name is not one.
+   */
+  setZone(name, timeZone) {
+    this.generation++;
+    this.name = name;
+    this.timeZone = timeZone || (isTimeZone(name) ? name : localZone);
+    this.cityOffset = null;
+    this.location = null;
+    this.locationZone = null;
+  }
+
+  /**
+   * Stop animating this clock.
+   */
+  remove() {
+    Clock.instances.delete(this);
+  }
+
+  /**
+   * Redraw the clock background and, if the {@link Clock#location location}
+   * is known, the sun light and moon arcs for the {@link virtualTime current day}.
+   */
+  redraw() {
+    this.drawBackground();
+    if (this.location) {
+      this.drawArc(this.location, this.locationZone);
+      this.drawMoon(this.location, this.locationZone);
+    }
+  }
+
+  /**
+   * Draw the clock background:
+   * <ul>
+   *  <li>a <a href="../clock/rolex_bezel.png">bezel</a> image,</li>
+   *  <li>a <a href="../clock/cruzeiro.png">team</a> logo,</li>
+   *  <li>a {@link circle}, </li>
+   *  <li>and the ticks.</li>
+   * </ul>
+   * The {@link Clock#drawArc sun light arc} is drawn on top of it,
+   * once the location is known.
+   *
+   * @see https://developer.mozilla.org/en-US/docs/Web/API/CanvasRenderingContext2D/drawImage
+   * @see https://developer.mozilla.org/en-US/docs/Web/API/Canvas_API/Tutorial/Using_images
+   * @see https://developer.mozilla.org/en-US/docs/Web/API/HTMLImageElement/decode
+   */
+  drawBackground() {
+    const { canvas, context, clockRadius, center } = this;
+    context.clearRect(0, 0, canvas.width, canvas.height);
+
+    Clock.images ??= preloadImages(["./rolex_bezel.png", "./cruzeiro.png"]);
+
+    Clock.images
+      .then((image) => {
+        let bezel = image[0];
+        // Translate the center of the bezel
+        // to the center of the canvas.
+        let size = imgSize(bezel.width, bezel.height, 1.8 * clockRadius);
+        var coord = translate(scale(size, [-1 / 2, -1 / 2]), center);
+        context.drawImage(bezel, coord.x, coord.y, size[0], size[1]);
+        context.setTransform(1, 0, 0, 1, 0, 0);
+
+        let flu = image[1];
+        // Translate the center of the flu logo
+        // to the center of the canvas.
+        size = imgSize(flu.width, flu.height, 0.9 * clockRadius);
+        coord = translate(scale(size, [-1 / 2, -1 / 2]), center);
+        context.drawImage(flu, coord.x, coord.y, size[0], size[1]);
+        // Handle origin.
+        context.strokeStyle = grena;
+        context.fillStyle = white;
+        circle(context, center, 10);
+        circle(context, center, 10, false);
+      })
+      .catch((error) => {
+        console.log(`Could not load iamge: ${error}`);
+      });
+
+    // context.globalAlpha = 0.3; // set global alpha
+
+    // Draw clock border.
+    context.strokeStyle = grena;
+    context.lineWidth = 3;
+    circle(context, center, clockRadius - 8, false);
+
+    // Draw the tick numbers.
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+
+    // Draw 12 inner numbers.
+    context.font = setFont(clockRadius / 10);
+    Clock.romans.map((n, i) => {
+      context.fillStyle = n.c;
+      var coord = polar2Cartesian(0.85 * clockRadius, i * fiveMin);
+      // translate to the center of the canvas
+      coord = translate(coord, center);
+      context.fillText(n.txt, coord.x, coord.y);
+    });
+
+    // Draw 24 outer numbers.
+    context.font = setFont(clockRadius / 20);
+    Clock.decimals.map((n, i) => {
+      context.fillStyle = n.c;
+      // runs at half the speed
+      var coord = polar2Cartesian(1.01 * clockRadius, i * fiveMin * 0.5);
+      // translate to the center of the canvas
+      coord = translate(coord, center);
+      context.fillText(n.txt, coord.y, coord.x);
+    });
+  }
+
+  /**
+   * <p>Draw the sun light arc, graded into the {@link Clock.twilight twilight} phases.</p>
+   * When the sun does not cross the altitude of a phase today,
+   * e.g. in the polar day or night, the phase is drawn as a full ring,
+   * if the sun stays above that altitude, or not at all.
+   *
+   * @param {Object<{latitude, longitude}>} loc location.
+   * @param {String} [timeZone] IANA time zone of the location, the clock's by default.
+   * @see https://en.wikipedia.org/wiki/Solar_time
+   * @see https://en.wikipedia.org/wiki/Midnight_sun
+   */
+  drawArc(loc, timeZone = this.timeZone) {
+    const { context, center, clockRadius } = this;
+    this.location = loc;
+    this.locationZone = timeZone;
+    let today = virtualTime.now();
+    let times = SunCalc.getTimes(today, loc.latitude, loc.longitude);
+    let noon = SunCalc.getPosition(times.solarNoon, loc.latitude, loc.longitude);
+
+    context.lineWidth = 5;
+    Clock.twilight.forEach((phase) => {
+      let [start, end] = [times[phase.start], times[phase.end]];
+      context.strokeStyle = phase.c;
+      if (!isNaN(start) && !isNaN(end)) {
+        arc(context, center, clockRadius - 8, wallClock(start, timeZone), wallClock(end, timeZone), false);
+      } else if (noon.altitude > (phase.altitude * pi) / 180) {
+        // the sun never sets below this altitude today
+        circle(context, center, clockRadius - 8, false);
+      }
+    });
+    context.lineWidth = 3;
+  }
 
-  drawClock(city);
+  /**
+   * <p>Draw the moon arc, from moonrise to moonset, inside the
+   * {@link Clock#drawArc sun light arc}, and the moon sub-dial.</p>
+   * The sub-dial, over the team logo, shows the illuminated part of the moon,
+   * with its bright limb turned as seen from the location,
+   * the illuminated fraction and the phase angle (0° new moon, 180° full moon).
+   * When the moon does not rise or set today, the arc is a full ring
+   * if it is always up, or it is not drawn at all.
+   *
+   * @param {Object<{latitude, longitude}>} loc location.
+   * @param {String} [timeZone] IANA time zone of the location, the clock's by default.
+   * @see https://github.com/mourner/suncalc#moon-illumination
+   * @see https://en.wikipedia.org/wiki/Lunar_phase
+   */
+  drawMoon(loc, timeZone = this.timeZone) {
+    const { context, center, clockRadius } = this;
+    let today = virtualTime.now();
+    let times = SunCalc.getMoonTimes(today, loc.latitude, loc.longitude);
+    let { fraction, phase, angle } = SunCalc.getMoonIllumination(today);
+    let { parallacticAngle } = SunCalc.getMoonPosition(today, loc.latitude, loc.longitude);
+
+    // Draw the moon arc.
+    context.strokeStyle = silver;
+    context.lineWidth = 3;
+    if (times.alwaysUp) {
+      circle(context, center, clockRadius - 14, false);
+    } else if (!times.alwaysDown) {
+      let rise = times.rise ? wallClock(times.rise, timeZone) : "0:00";
+      let set = times.set ? wallClock(times.set, timeZone) : "24:00";
+      arc(context, center, clockRadius - 14, rise, set, false);
+    }
+
+    // Draw the sub-dial after the logo, which is drawn once the images are loaded.
+    const dial = () => {
+      let r = 0.12 * clockRadius;
+      let [x, y] = [center[0], center[1] + 0.5 * clockRadius];
+
+      context.save();
+      context.translate(x, y);
+      context.fillStyle = navy;
+      context.strokeStyle = grena;
+      context.lineWidth = 2;
+      circle(context, [0, 0], r);
+      circle(context, [0, 0], r, false);
+
+      // Turn the bright limb to +x: its angle is reckoned from the zenith,
+      // eastwards, and the east is on the left of the sky.
+      let limb = angle - parallacticAngle;
+      context.rotate(Math.atan2(-Math.cos(limb), -Math.sin(limb)));
+
+      // A half disc on the bright side, closed by the terminator:
+      // an ellipse that bulges to the bright side in a crescent moon,
+      // and to the dark side in a gibbous moon.
+      let k = 1 - 2 * fraction;
+      context.fillStyle = white;
+      context.beginPath();
+      context.arc(0, 0, r, -pi / 2, pi / 2);
+      context.ellipse(0, 0, Math.abs(k) * r, r, 0, pi / 2, -pi / 2, k > 0);
+      context.fill();
+      context.restore();
+
+      context.fillStyle = white1;
+      context.textAlign = "center";
+      context.textBaseline = "middle";
+      context.font = setFont(clockRadius / 24);
+      context.fillText(
+        `${Math.round(100 * fraction)}% ${Math.round(360 * phase)}°`,
+        x,
+        y + 1.5 * r
+      );
+    };
+    (Clock.images || Promise.resolve()).then(dial, dial);
+  }
 
   /**
-   * <p>A callback to redraw the four handles of the clock.</p>
-   * @callback drawHandles
+   * <p>Redraw the four handles and the legend of the clock.</p>
+   * Once the {@link Clock#location location} is known, a sun marker is drawn
+   * on the clock border, at the solar time of the sun light arc, bright while the sun is up,
+   * and the legend gives the sun altitude and azimuth (clockwise from north).
+   *
+   * @param {Date} [today] instant to be displayed, the {@link virtualTime current time} by default.
+   * @see https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Date
    * @see https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Date/toLocaleString
    * @see https://developer.mozilla.org/en-US/docs/Web/API/CanvasRenderingContext2D/measureText
    */
-  return () => {
+  drawHandles(today = virtualTime.now()) {
+    const { canvas, ctx, lctx, clockRadius, center } = this;
+    const oneMin = pi / 30; // 6 degrees
+
     // '06/02/2022, 08:20:50'
     //              (0-23)  (0-59)  (0-59)
-    while (true) {
-      try {
-        var today = new Date();
-        var [day, month, year, hours, minutes, seconds] = today
-          .toLocaleString("en-GB", { timeZone: tz })
-          .slice()
-          .split(/:|\/|,/);
-        break;
-      } catch (e) {
-        if (e instanceof RangeError) {
-          // RangeError: invalid time zone
-          // e.g. no Rio de Janeiro ...
-          tz = timezone;
-        } else {
-          console.log(e);
-          throw new Error("By, bye. See you later, alligator.");
-        }
-      }
-    }
+    let [day, month, year, hours, minutes, seconds] = today
+      .toLocaleString("en-GB", { timeZone: this.timeZone })
+      .split(/:|\/|,/);
 
     // 12 hours format: AM / PM
     let hours12 = hours % 12 || 12;
 
-    clock_handles[0].time2Angle = fiveMin * (+hours12 + minutes / 60);
-    clock_handles[1].time2Angle = oneMin * (+minutes + seconds / 60);
-    clock_handles[2].time2Angle = oneMin * seconds;
-    clock_handles[3].time2Angle = fiveMin * (+hours + minutes / 60) * 0.5;
+    let time2Angle = [
+      fiveMin * (+hours12 + minutes / 60),
+      oneMin * (+minutes + seconds / 60),
+      oneMin * seconds,
+      fiveMin * (+hours + minutes / 60) * 0.5,
+    ];
 
     // Clear screen.
     lctx.clearRect(0, 0, canvas.width, canvas.height);
@@ -773,12 +1445,27 @@ var runAnimation = (() => {
     lctx.font = setFont(theight);
     lctx.fillStyle = white1;
 
-    // Draw the legend: UTC, Region, City, Date.
+    // Draw the legend: Sun, UTC, Region, City, Date.
     let date = `${day} / ${month} / ${year}`;
-    let utc = `UTC ${cityOffset}`;
-    let [region, lcity] = tz2.split("/");
-    let [tcity, tregion, tlen, tutc] = [lcity, region, date, utc].map((p) =>
-      lctx.measureText(p)
+    // a new day, e.g. at midnight or when travelling in time
+    if (this.date !== null && date !== this.date) this.redraw();
+    this.date = date;
+    this.cityOffset = zoneOffset(this.timeZone, today) / 60;
+    let utc = formatOffset(this.cityOffset);
+    // e.g. America/Argentina/Ushuaia
+    let [region, ...place] = this.name.split("/");
+    let lcity = place.pop() || "";
+    let sun = null;
+    let sunText = "";
+    if (this.location) {
+      sun = SunCalc.getPosition(today, this.location.latitude, this.location.longitude);
+      // SunCalc gives the azimuth from south, westwards
+      let altitude = (sun.altitude * 180) / pi;
+      let azimuth = ((sun.azimuth * 180) / pi + 180).mod(360);
+      sunText = `Sun ${altitude.toFixed(1)}° ${azimuth.toFixed(1)}°`;
+    }
+    let [tcity, tregion, tlen, tutc, tsun] = [lcity, region, date, utc, sunText].map(
+      (p) => lctx.measureText(p)
     );
 
     [
@@ -786,6 +1473,7 @@ var runAnimation = (() => {
       [lcity, tcity],
       [region, tregion],
       [utc, tutc],
+      [sunText, tsun],
     ].map((p, i) => {
       lctx.fillText(
         p[0],
@@ -800,31 +1488,539 @@ var runAnimation = (() => {
     ctx.clearRect(0, 0, canvas.width, canvas.height);
 
     // Draw the handles.
-    clock_handles.map((handle) => {
+    Clock.handles.map((handle, i) => {
       ctx.strokeStyle = handle.c;
       ctx.beginPath();
-      coord = polar2Cartesian(0.057 * clockRadius, handle.time2Angle);
+      var coord = polar2Cartesian(0.057 * clockRadius, time2Angle[i]);
       coord = translate(coord, center);
       ctx.moveTo(coord.y, coord.x);
 
-      var coord = polar2Cartesian(
-        handle.length * clockRadius,
-        handle.time2Angle
-      );
+      coord = polar2Cartesian(handle.length * clockRadius, time2Angle[i]);
       coord = translate(coord, center);
       ctx.lineTo(coord.y, coord.x);
       ctx.lineWidth = handle.width;
       ctx.stroke();
     });
+
+    // Draw the sun marker on the 24 hours ring, in solar time: the hour angle
+    // of the sun, from its altitude and azimuth, past the solar noon of the arc.
+    if (sun) {
+      let { latitude, longitude } = this.location;
+      let phi = (latitude * pi) / 180;
+      let hourAngle = Math.atan2(
+        Math.sin(sun.azimuth),
+        Math.cos(sun.azimuth) * Math.sin(phi) + Math.tan(sun.altitude) * Math.cos(phi)
+      );
+      let { solarNoon } = SunCalc.getTimes(today, latitude, longitude);
+      let [noonHours, noonMinutes] = wallClock(solarNoon, this.locationZone || this.timeZone).split(":");
+      let sunAngle = fiveMin * (+noonHours + noonMinutes / 60) * 0.5 + hourAngle;
+      let coord = polar2Cartesian(clockRadius - 8, sunAngle);
+      coord = translate(coord, center);
+      ctx.fillStyle = sun.altitude > 0 ? gold : navy;
+      ctx.strokeStyle = grena;
+      ctx.lineWidth = 1;
+      circle(ctx, [coord.y, coord.x], clockRadius / 30);
+      circle(ctx, [coord.y, coord.x], clockRadius / 30, false);
+    }
+  }
+}
+
+/**
+ * Fill an element with the colors and names of the
+ * {@link Clock.twilight phases} of the sun light arc,
+ * and of the {@link Clock#drawMoon moon arc}.
+ *
+ * @param {HTMLElement} tag element for the legend.
+ */
+function showTwilightLegend(tag) {
+  tag.innerHTML = [...Clock.twilight, { name: "Moon up", c: silver }]
+    .map(
+      (phase) =>
+        `<span><span class="swatch" style="background-color: ${phase.c}"></span>${phase.name}</span>`
+    )
+    .join(" ");
+}
+
+/**
+ * The clock of the single location page, drawn on the
+ * #clock, #handles and #legend canvases.
+ * @type {Clock}
+ */
+var mainClock = null;
+
+/**
+ * <p>Draw the clock of the single location page.</p>
+ * If the browser gives its geographic location, the sun light arc and
+ * the address are those of the browser.
+ * Otherwise, the place is searched for in the {@link readZones time zone list}.
+ *
+ * @param {String} place a location name.
+ * @property {function} drawClock
+ * @property {function} drawClock.location Increment/decrement the clock location.
+ * @property {Array<tz>} drawClock.tz time zone array.
+ *
+ * @see https://developer.mozilla.org/en-US/docs/Web/API/Geolocation_API/Using_the_Geolocation_API
+ */
+function drawClock(place) {
+  mainClock.drawBackground();
+
+  if (place !== undefined) drawClock.place = place;
+
+  // the location may have been changed in place before the callbacks run
+  let generation = mainClock.generation;
+  navigator.geolocation.getCurrentPosition(
+    (position) => {
+      // this is an asynchronous callback
+      if (generation !== mainClock.generation) return;
+      let lat = position.coords.latitude;
+      let lng = position.coords.longitude;
+      mainClock.drawArc(
+        {
+          latitude: lat,
+          longitude: lng,
+        },
+        localZone
+      );
+      mainClock.drawMoon({ latitude: lat, longitude: lng }, localZone);
+      displayLocation(lat, lng);
+    },
+    async () => {
+      // safari blocks geolocation unless using a secure connection
+      let city;
+      try {
+        [drawClock.tz, city] = await findCity(drawClock.place);
+      } catch (e) {
+        console.error(e);
+        if (generation === mainClock.generation) {
+          document.querySelector("#address").innerText = e.message;
+        }
+        return;
+      }
+      if (city && generation === mainClock.generation) {
+        let lat = city.coordinates.latitude;
+        let lng = city.coordinates.longitude;
+        mainClock.drawArc({ latitude: lat, longitude: lng }, zoneId(city));
+        mainClock.drawMoon({ latitude: lat, longitude: lng }, zoneId(city));
+        displayLocation(lat, lng, city.city, city.region);
+      }
+    },
+    {
+      enableHighAccuracy: true,
+      timeout: 5000,
+      maximumAge: 0,
+    }
+  );
+}
+
+/**
+ * <p>Callback for key pressed.</p>
+ * Valid keys:
+ * <ul>
+ *  <li>n: next city.</li>
+ *  <li>N: previous city.</li>
+ *  <li>b: back to cwdc</li>
+ *  <li>B: back to 10-html5css3</li>
+ *  <li>⌘-esc or ⌘-e: clear local storage</li>
+ * </ul>
+ * Keys typed into a form field, e.g. the #zonePicker, are left to it.
+ * @event KeyboardEvent
+ * @param {KeyboardEvent} event keyboard event.
+ */
+function onKeyDown(event) {
+  let target = event.target;
+  if (target.isContentEditable || ["INPUT", "SELECT", "TEXTAREA"].includes(target.tagName)) {
+    return;
+  }
+  if (event.key === "n" || event.key === "N") {
+    drawClock.location(event.key);
+  } else if (event.key === "Escape" || event.key === "e") {
+    if (event.metaKey || event.ctrlKey) {
+      localStorage.clear();
+      alert("Local storage has been cleared");
+    }
+  } else if (event.key == "b") {
+    window.location.href = "/cwdc";
+  } else if (event.key == "B") {
+    let path = window.location.pathname;
+    window.location.href = path.split("/", 3).join("/");
+  }
+}
+
+/**
+ * Increment/decrement the clock location, in place.
+ * @async
+ * @memberof {drawClock}
+ * @global
+ * @param {String} key "n" for next or "N" for previous.
+ */
+drawClock.location = async (key) => {
+  if (drawClock.tz == undefined) {
+    drawClock.tz = await readZones();
+  }
+  let index = localStorage.getItem("placeIndex") || 0;
+  index = (+index + (key === "n" ? 1 : -1)).mod(drawClock.tz.cities.length);
+  localStorage.setItem("placeIndex", String(index));
+  let city = drawClock.tz.cities[index];
+  changeLocation(`${city.region}/${city.city}`);
+};
+
+/**
+ * Select next location.
+ */
+function nextLocation() {
+  drawClock.location("n");
+}
+
+/**
+ * Select previous location.
+ */
+function previousLocation() {
+  drawClock.location("N");
+}
+
+/**
+ * <p>Create the {@link mainClock clock} of the single location page.</p>
+ * The time zone comes from the "timeZone" URL parameter, and is then
+ * {@link selectZone drawn} just as when the location is changed in place,
+ * so a reload shows the same clock.
+ * Otherwise, it is the browser's time zone, {@link drawClock drawn}
+ * at the browser's location.
+ *
+ * @see https://attacomsian.com/blog/javascript-current-timezone
+ */
+function startClock() {
+  const urlParams = new URLSearchParams(window.location.search);
+  let tz = urlParams.get("timeZone");
+
+  mainClock = new Clock(
+    {
+      clock: document.getElementById("clock"),
+      handles: document.getElementById("handles"),
+      legend: document.getElementById("legend"),
+    },
+    tz || localZone
+  );
+  if (tz) {
+    selectZone(tz).catch(console.error);
+  } else {
+    drawClock(localZone.split("/")[1]);
+  }
+  window.onkeydown = onKeyDown;
+  window.addEventListener("popstate", onLocationPop);
+}
+
+/**
+ * <p>Switch the {@link mainClock clock} of the page to another time zone, in place.</p>
+ * The background, the arcs and the #address are redrawn for the
+ * {@link locateZone location of the zone}, while the handles keep running.
+ *
+ * @async
+ * @param {String} timeZone IANA time zone, e.g. "Asia/Tokyo",
+ * or region/city of the time zone list, e.g. "Brazil/Rio_de_Janeiro".
+ */
+async function selectZone(timeZone) {
+  let zone = await locateZone(timeZone);
+  mainClock.setZone(zone.name, zone.timeZone);
+  mainClock.drawBackground();
+  if (zone.coordinates) {
+    let { latitude, longitude } = zone.coordinates;
+    mainClock.drawArc(zone.coordinates);
+    mainClock.drawMoon(zone.coordinates);
+    displayLocation(latitude, longitude, zone.city?.city, zone.city?.region);
+  } else {
+    document.querySelector("#address").innerText = `${timeZone}: unknown location.`;
+  }
+}
+
+/**
+ * <p>Address of the page with the "time" and "speed" URL parameters of the
+ * {@link virtualTime time travel} under way, or without them in the real time,
+ * so the URL always reopens the clock as it is shown.</p>
+ *
+ * @param {Object<String, String>} [params] other URL parameters to set,
+ * e.g. {timeZone: "Asia/Tokyo"}.
+ * @returns {String} the address, kept readable:
+ * ?timeZone=Asia/Tokyo&time=2026-06-21T12:00:00.000Z
+ */
+function timeTravelURL(params = {}) {
+  let url = new URL(window.location.href);
+  Object.entries(params).forEach(([name, value]) => url.searchParams.set(name, value));
+  if (virtualTime.origin === null) {
+    url.searchParams.delete("time");
+    url.searchParams.delete("speed");
+  } else {
+    url.searchParams.set("time", virtualTime.now().toISOString());
+    url.searchParams.set("speed", virtualTime.speed);
+  }
+  return url.href.replaceAll("%2F", "/").replaceAll("%3A", ":");
+}
+
+/**
+ * <p>Change the location of the {@link mainClock clock} of the page,
+ * without reloading it.</p>
+ * The new location is {@link selectZone drawn in place}, so the audio, the video
+ * and the time travel keep going, and it is pushed to the session history
+ * as the "timeZone" URL parameter, so the back and forward buttons of the browser
+ * go through the visited locations.
+ * The "time" and "speed" URL parameters are {@link timeTravelURL updated}
+ * to the time travel under way.
+ *
+ * @async
+ * @param {String} timeZone IANA time zone, e.g. "Asia/Tokyo",
+ * or region/city of the time zone list, e.g. "Brazil/Rio_de_Janeiro".
+ * @param {Boolean} [push] whether to add the location to the history,
+ * or just replace the current URL, e.g. when going back to it.
+ * @see https://developer.mozilla.org/en-US/docs/Web/API/History/pushState
+ * @see https://developer.mozilla.org/en-US/docs/Web/API/History/replaceState
+ */
+async function changeLocation(timeZone, push = true) {
+  let href = timeTravelURL({ timeZone });
+  if (push) {
+    history.pushState({ timeZone }, "", href);
+  } else {
+    history.replaceState({ timeZone }, "", href);
+  }
+  await selectZone(timeZone);
+}
+
+/**
+ * <p>Callback for the back and forward buttons of the browser.</p>
+ * The clock goes to the location in the URL, or to the browser's time zone.
+ *
+ * @event popstate
+ * @param {PopStateEvent} event history event.
+ * @see https://developer.mozilla.org/en-US/docs/Web/API/Window/popstate_event
+ */
+function onLocationPop(event) {
+  const urlParams = new URLSearchParams(window.location.search);
+  changeLocation(urlParams.get("timeZone") || localZone, false);
+}
+
+/**
+ * <p>Fill the #zonePicker input with every time zone known to the browser,
+ * through its datalist, so they can be searched for by name,
+ * and {@link changeLocation switch} the clock to the chosen one.</p>
+ * Each time zone is listed with its current UTC offset.
+ *
+ * @see https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Intl/supportedValuesOf
+ * @see https://developer.mozilla.org/en-US/docs/Web/HTML/Element/datalist
+ */
+async function startZonePicker() {
+  const picker = document.getElementById("zonePicker");
+  const list = document.getElementById(picker.getAttribute("list"));
+  let zones = Intl.supportedValuesOf
+    ? Intl.supportedValuesOf("timeZone")
+    : [...(await readCentroids()).keys()].sort();
+
+  let today = virtualTime.now();
+  list.replaceChildren(
+    ...zones.map((timeZone) => {
+      let offset = formatOffset(zoneOffset(timeZone, today) / 60);
+      return new Option(`${timeZone.replaceAll("_", " ")} (${offset})`, timeZone);
+    })
+  );
+
+  picker.onchange = () => {
+    let timeZone = picker.value.trim();
+    if (!isTimeZone(timeZone)) {
+      picker.setCustomValidity(`${timeZone}: unknown time zone.`);
+      picker.reportValidity();
+      return;
+    }
+    picker.setCustomValidity("");
+    changeLocation(timeZone);
+  };
+}
+
+/**
+ * <p>Fill a container with a grid of clocks, one for each given city
+ * of the {@link readZones time zone list}.</p>
+ * Every cell holds the three canvases of a {@link Clock},
+ * with the sun light arc of its own city.
+ * Unknown cities are reported in the console and skipped.
+ *
+ * @async
+ * @param {HTMLElement} container element to hold the clocks.
+ * @param {String[]} [names] city names, e.g. ["Tokyo", "London"], or all cities if empty.
+ * @param {Number} [size] width and height of the canvases, in pixels.
+ * @returns {Promise<Clock[]>} the clocks created.
+ * @example
+ * createClockGrid(document.getElementById("clocks"), ["Sao_Paulo", "Tokyo"]);
+ */
+async function createClockGrid(container, names = [], size = 320) {
+  const tz = await readZones();
+  let cities = tz.cities;
+  if (names.length > 0) {
+    cities = names
+      .map((name) => {
+        let city = tz.cities.find((c) => c.city === name);
+        if (!city) console.error(`${name}: not in the time zone list.`);
+        return city;
+      })
+      .filter((city) => city !== undefined);
+  }
+
+  return cities.map((city) => {
+    let cell = document.createElement("div");
+    cell.className = "clock-cell";
+    let canvases = {};
+    ["clock", "handles", "legend"].forEach((id) => {
+      let canvas = document.createElement("canvas");
+      canvas.className = id;
+      canvas.width = canvas.height = size;
+      cell.appendChild(canvas);
+      canvases[id] = canvas;
+    });
+    container.appendChild(cell);
+
+    let clock = new Clock(canvases, `${city.region}/${city.city}`, zoneId(city));
+    clock.drawBackground();
+    clock.drawArc(city.coordinates);
+    clock.drawMoon(city.coordinates);
+    return clock;
+  });
+}
+
+/**
+ * Format a date for a datetime-local input, in the browser's time zone.
+ *
+ * @param {Date} date a date.
+ * @returns {String} e.g. "2026-06-21T09:30".
+ */
+function localDateTime(date) {
+  let local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+}
+
+/**
+ * <p>Start the {@link virtualTime time travel mode}, if the URL asks for it,
+ * and connect its controls, if the page has them.</p>
+ * The URL parameters are:
+ * <ul>
+ *  <li>time: the virtual time, as an ISO date, in the browser's time zone
+ *  if no offset is given, e.g. time=2026-06-21T12:00 or time=2026-07-19T16:00-03:00;</li>
+ *  <li>speed: virtual seconds per real second, e.g. speed=3600.</li>
+ * </ul>
+ * The controls are a #dateTime datetime-local input, a #speed select
+ * and a #now button, which goes back to the real time.
+ * The input follows the running virtual time, unless it is being edited,
+ * and every change {@link timeTravelURL replaces} the URL parameters.
+ *
+ * @see https://developer.mozilla.org/en-US/docs/Web/HTML/Element/input/datetime-local
+ */
+function startTimeTravel() {
+  const urlParams = new URLSearchParams(window.location.search);
+  let time = urlParams.get("time");
+  let speed = urlParams.get("speed");
+  if (time !== null || speed !== null) {
+    let date = time !== null ? new Date(time) : virtualTime.now();
+    if (isNaN(date)) {
+      console.error(`time=${time}: invalid date, using the current time.`);
+      date = virtualTime.now();
+    }
+    if (speed !== null && !Number.isFinite(+speed)) {
+      console.error(`speed=${speed}: invalid speed, using 1.`);
+      speed = null;
+    }
+    virtualTime.set(date, speed !== null ? +speed : 1);
+  }
+
+  const picker = document.getElementById("dateTime");
+  const select = document.getElementById("speed");
+  const now = document.getElementById("now");
+  if (!picker || !select || !now) return;
+
+  const showTime = () => {
+    let value = localDateTime(virtualTime.now());
+    if (document.activeElement !== picker && picker.value !== value) picker.value = value;
+  };
+  const show = () => {
+    showTime();
+    let value = String(virtualTime.speed);
+    if (![...select.options].some((option) => option.value === value)) {
+      select.add(new Option(`${value}×`, value));
+    }
+    select.value = value;
+  };
+  const update = () => {
+    show();
+    history.replaceState(history.state, "", timeTravelURL());
+  };
+
+  picker.onchange = () => {
+    let date = new Date(picker.value);
+    if (!isNaN(date)) virtualTime.set(date);
+    update();
+  };
+  select.onchange = () => {
+    virtualTime.set(virtualTime.now(), +select.value);
+    update();
+  };
+  now.onclick = () => {
+    virtualTime.reset();
+    update();
+  };
+  show();
+  // the minutes of the input go by with the virtual time
+  setInterval(showTime, 1000);
+}
+
+/**
+ * <p>The animation loop shared by all {@link Clock clocks}.</p>
+ * Every frame redraws the handles of each clock for the same
+ * {@link virtualTime instant},
+ * so there is a single pending animation frame however many clocks are shown.
+ *
+ * @function
+ * @see https://javascript.plainenglish.io/better-understanding-of-timers-in-javascript-settimeout-vs-requestanimationframe-bf7f99b9ff9b
+ */
+var runAnimation = (() => {
+  let timer = null;
+
+  return () => {
+    let today = virtualTime.now();
+    Clock.instances.forEach((clock) => clock.drawHandles(today));
     if (timer) cancelAnimationFrame(timer);
     timer = requestAnimationFrame(runAnimation);
   };
 })();
 
 /**
- * Triggers the {@link runAnimation animation}.
+ * <p>Starts the {@link startTimeTravel time travel mode}, if asked for,
+ * creates the clock of the single location page, if there is a #clock canvas,
+ * with its {@link startZonePicker time zone picker}, if there is a #zonePicker,
+ * or the clocks of the world clocks page, if there is a #clocks grid,
+ * shows the {@link showTwilightLegend twilight legend} in #twilight,
+ * and triggers the {@link runAnimation animation}.</p>
+ * The cities of the grid come from the "cities" URL parameter
+ * or its data-cities attribute, as a comma separated list,
+ * e.g. world.html?cities=Sao_Paulo,London,Tokyo.
  *
  * @event load - run the animation.
  * @see https://developer.mozilla.org/en-US/docs/Web/API/Window/load_event
  */
-window.addEventListener("load", (event) => runAnimation());
+window.addEventListener("load", (event) => {
+  startTimeTravel();
+
+  if (document.getElementById("clock")) {
+    startClock();
+    if (document.getElementById("zonePicker")) startZonePicker().catch(console.error);
+  }
+
+  let legend = document.getElementById("twilight");
+  if (legend) showTwilightLegend(legend);
+
+  let grid = document.getElementById("clocks");
+  if (grid) {
+    const urlParams = new URLSearchParams(window.location.search);
+    let cities = urlParams.get("cities") || grid.dataset.cities || "";
+    createClockGrid(grid, cities.split(",").filter((name) => name !== "")).catch(
+      (e) => {
+        console.error(e);
+        grid.innerText = e.message;
+      }
+    );
+  }
+
+  runAnimation();
+});
@@ -1,273 +1,545 @@
-function Calcular_PrestacaoMensal(valorFinanciado, t, p) {
-  let prestacao = (valorFinanciado * t) / (1 - Math.pow(1 + t, -p));
-  return prestacao;
-}
+import {
+  Calcular_CoeficienteFinanciamento,
+  Calcular_TaxaInterna,
+  Calcular_ValorCorrigido,
+  Calcular_Quitacao,
+  Resolver_Incognita,
+  sistemasAmortizacao,
+  Calcular_Totais,
+  Converter_TaxaEfetivaAnual,
+  Converter_TaxaNominalAnual,
+  Calcular_CET,
+  Gerar_TabelaPrice,
+  Gerar_TabelaPriceComEventos,
+  Extrair_SerieIndice,
+  Gerar_TabelaIndexada,
+  Gerar_LinhaEntrada,
+  Gerar_TabelaComEntrada,
+} from "./financeiro.mjs";
+import { Extrair_Simulacao, Gerar_CSV, Gerar_PlanilhaXML, Baixar_Arquivo } from "./exportar.js";
+import {
+  Ler_Formulario,
+  Preencher_Formulario,
+  Codificar_URL,
+  Ler_URL,
+  Listar_Cenarios,
+  Salvar_Cenario,
+  Remover_Cenario,
+} from "./cenarios.js";
+import {
+  Definir_Localidade,
+  Traduzir,
+  Traduzir_Pagina,
+  Formatar_Moeda,
+  Formatar_Percentual,
+  Formatar_Numero,
+} from "./mensagens.js";
+import { Exibir_Comparacao, Exibir_Sensibilidade, Ler_Lista } from "./comparacao.js";
+import { Criar_Tabela, Criar_TabelaResumo } from "./tabelas.js";
+import { camposFormulario, Converter_Numero, Validar_Campos } from "./validacao.js";
+
+// Amortizações extras e carências aplicadas à Tabela Price.
+var eventos = [];
+
+// Séries de índices de correção (IPCA, TR) lidas de indices.json.
+var indices = null;
 
-function Calcular_CoeficienteFinanciamento(t, p) {
-  var CF = (t * Math.pow(1 + t, p)) / (Math.pow(1 + t, p) - 1);
-  return CF;
+// Lê as séries de índices; sem elas a simulação indexada fica indisponível.
+async function Ler_Indices() {
+  try {
+    const response = await fetch("indices.json");
+    indices = (await response.json()).series;
+  } catch (erro) {
+    indices = null;
+  }
 }
 
-function Calcular_ValorPago(valorFinanciado, t, p) {
-  let prestacao = Calcular_PrestacaoMensal(valorFinanciado, t, p);
-  var valor_pago = prestacao * p;
-  return valor_pago;
+// Parágrafo de observação exibido abaixo de uma tabela de resultado.
+function Criar_Nota(texto) {
+  var nota = document.createElement("p");
+  nota.className = "nota";
+  nota.textContent = texto;
+  return nota;
 }
 
-function Calcular_TaxaReal_MetodoNewton(valorFinanciado, p, valorPago) {
-  const precisao = 0.000001; // Define a precisão desejada
-  var estimativa = 0.1; // Estimativa inicial para a taxa de juros
-  var iteracoes = 0; // Contador de iterações
-  var erro = valorFinanciado - valorPago / Math.pow(1 + estimativa, p);
-  for (; Math.abs(erro) > precisao; ) {
-    estimativa -= erro / ((p * valorPago) / Math.pow(1 + estimativa, p + 1));
-    erro = valorFinanciado - valorPago / Math.pow(1 + estimativa, p);
-    iteracoes++;
-
-    if (iteracoes > 1000) {
-      // Evita um loop infinito
-      console.error("O método não convergiu após 1000 iterações.");
-      return null;
+// Lê e valida os campos do formulário. Retorna os valores numéricos e a
+// lista de erros, cada um com os campos envolvidos e a mensagem.
+function Validar_Entradas() {
+  var { valores, erros } = Validar_Campos(Ler_Formulario());
+  if (erros.length > 0) return { valores, erros };
+
+  // Combinações obrigatórias
+  if (valores.itax == 0 && valores.ipp == 0) {
+    erros.push({ campos: ["itax", "ipp"], mensagem: Traduzir("erro_taxa_valor_final") });
+  }
+  if (valores.itax == 0 && valores.ipv == 0) {
+    erros.push({ campos: ["itax", "ipv"], mensagem: Traduzir("erro_taxa_valor_financiado") });
+  }
+  if (valores.ipv == 0 && valores.ipp == 0) {
+    erros.push({ campos: ["ipv", "ipp"], mensagem: Traduzir("erro_financiado_final") });
+  }
+  if (valores.parc == 0 && (valores.itax == 0 || valores.ipv == 0 || valores.ipp == 0)) {
+    erros.push({ campos: ["parc"], mensagem: Traduzir("erro_um_campo") });
+  }
+  if (document.getElementById("iind").value !== "") {
+    if (document.getElementById("isis").value == "sacre") {
+      erros.push({ campos: [], mensagem: Traduzir("erro_indice_sistema") });
+    }
+    if (eventos.length > 0) {
+      erros.push({ campos: [], mensagem: Traduzir("erro_indice_eventos") });
     }
   }
-  var treal = 3.8956;
-  return treal;
+  // amortizações extras e carências só são simuladas na Tabela Price
+  if (eventos.length > 0 && document.getElementById("isis").value != "price") {
+    erros.push({ campos: [], mensagem: Traduzir("erro_eventos_sistema") });
+  }
+  if (valores.parc > 0 && valores.mav > valores.parc) {
+    erros.push({ campos: ["mav"], mensagem: Traduzir("erro_meses_voltar") });
+  }
+  return { valores, erros };
+}
+
+// Mostra cada erro ao lado dos campos envolvidos e a lista completa em #errorMessage.
+function Exibir_Erros(erros) {
+  for (const id in camposFormulario) {
+    const mensagens = erros.filter((erro) => erro.campos.includes(id)).map((erro) => erro.mensagem);
+    document.getElementById(`${id}-erro`).textContent = mensagens.join(" ");
+    document.getElementById(id).setAttribute("aria-invalid", mensagens.length > 0 ? "true" : "false");
+  }
+
+  const errorMessage = document.getElementById("errorMessage");
+  errorMessage.innerHTML = erros.map((erro) => `<p>${erro.mensagem}</p>`).join("");
+  errorMessage.style.display = erros.length > 0 ? "block" : "none";
+  document.getElementById("successMessage").style.display = erros.length > 0 ? "none" : "block";
 }
 
-function Calcular_ValorCorrigido(valorPago, t, p) {
-  var valorCorrigido = valorPago / Math.pow(1 + t, p);
-  return valorCorrigido;
+// Não deixa resultados de uma simulação anterior ao lado das mensagens de erro
+function Limpar_Resultados() {
+  document.getElementById("resultado1").innerHTML = "";
+  document.getElementById("resultado2").innerHTML = "";
+  document.getElementById("resultado3").innerHTML = "";
+  document.getElementById("exportar").hidden = true;
 }
 
 document.getElementById("submitButton").onclick = function (e) {
   e.preventDefault();
-  var p = document.getElementById("parc").value; // parcelamento
-  var t = document.getElementById("itax").value / 100; // taxa mensal de juros
-  var valorFinanciado = document.getElementById("ipv").value;
-  var valorFinal = document.getElementById("ipp").value;
-  var valorVoltar = document.getElementById("ipb").value;
-  var mesVoltar = document.getElementById("mav").value;
+  const { valores, erros } = Validar_Entradas();
+  Exibir_Erros(erros);
+  if (erros.length > 0) {
+    Limpar_Resultados();
+    return;
+  }
+
+  var p = valores.parc; // parcelamento
+  var t = valores.itax / 100; // taxa mensal de juros
+  var valorFinanciado = valores.ipv;
+  var valorFinal = valores.ipp;
+  var valorVoltar = valores.ipb;
+  var mesVoltar = valores.mav;
+  var custos = { iof: valores.iiof / 100, tac: valores.itac, seguro: valores.iseg };
   const checkbox = document.getElementById("idp");
-  var prestacao = Calcular_PrestacaoMensal(valorFinanciado, t, p);
-  var CF = Calcular_CoeficienteFinanciamento(t, p);
-  var valorPago = Calcular_ValorPago(valorFinanciado, t, p);
-  var treal = Calcular_TaxaReal_MetodoNewton(valorFinanciado, p, valorPago);
-  var t_anual = 1 + (Math.pow(1 + t, 12) - 1) - 1;
-  var valorCorrigido = Calcular_ValorCorrigido(valorPago, t, p);
+  var chaveSistema = document.getElementById("isis").value in sistemasAmortizacao ? document.getElementById("isis").value : "price";
+  var sistema = sistemasAmortizacao[chaveSistema];
+
+  // O campo deixado em zero é a incógnita; os outros três a determinam
+  // pela soma das prestações da tabela do sistema escolhido.
+  var incognita = "ipp";
+  var dados = { valorFinanciado, t, p, valorPago: valorFinal };
+  if (p == 0) {
+    incognita = "parc";
+    p = Resolver_Incognita(chaveSistema, incognita, dados, checkbox.checked);
+  } else if (t == 0) {
+    incognita = "itax";
+    t = Resolver_Incognita(chaveSistema, incognita, dados, checkbox.checked);
+  } else if (valorFinanciado == 0) {
+    incognita = "ipv";
+    valorFinanciado = Resolver_Incognita(chaveSistema, incognita, dados, checkbox.checked);
+  }
+  if (p === null || t === null || !(valorFinanciado > 0)) {
+    var nomeIncognita = Traduzir(`campo_${incognita}`).toLocaleLowerCase();
+    Exibir_Erros([{ campos: [incognita], mensagem: Traduzir("erro_convergencia", { incognita: nomeIncognita }) }]);
+    Limpar_Resultados();
+    return;
+  }
+
+  // Correção do saldo devedor por um índice, a partir do mês inicial escolhido
+  var chaveIndice = document.getElementById("iind").value;
+  var inicioIndice = document.getElementById("iinicio").value;
+  var serieIndice = null;
+  if (chaveIndice !== "") {
+    if (indices && chaveIndice in indices) {
+      serieIndice = Extrair_SerieIndice(indices[chaveIndice].mensal, inicioIndice, p);
+    }
+    if (serieIndice === null) {
+      Exibir_Erros([{ campos: [], mensagem: Traduzir("erro_indice", { indice: chaveIndice }) }]);
+      Limpar_Resultados();
+      return;
+    }
+  }
+  var indexada = serieIndice !== null;
 
+  // Com entrada, o mês 0 traz a entrada e o saldo restante segue em p - 1 meses
+  var linhaEntrada = null;
+  var valorTabela = valorFinanciado;
+  var prazoTabela = p;
   if (checkbox.checked) {
-    document.getElementById("resultado1").innerHTML = `
-        <div id="titulo_tabela">
-            <div>
-                <p id="titulo">Resultado</p>
-            </div>
-            <table id="tabela">
-                <tbody>
-                    <tr>
-                        <th colspan="2">Resultado</th>
-                    </tr>
-                    <tr>
-                        <td>Parcelamento:</td>
-                        <td>${p}</td>
-                    </tr>
-                    <tr>
-                        <td>Taxa:</td>
-                        <td>${(t * 100).toFixed(2)}% ao mês = ${(t_anual * 100).toFixed(2)}% ao ano</td>
-                    </tr>
-                    <tr>
-                        <td>Valor Financiado:</td>
-                        <td>$${valorFinanciado}</td>
-                    </tr>
-                    <tr>
-                        <td>Valor Final:</td>
-                        <td>$${valorFinal}</td>
-                    </tr>
-                    <tr>
-                        <td>Valor a Voltar:</td>
-                        <td>$${valorVoltar}</td>
-                    </tr>
-                    <tr>
-                        <td>Entrada:</td>
-                        <td>True</td>
-                    </tr>
-                    <tr>
-                        <td>Meses a voltar:</td>
-                        <td>${mesVoltar}</td>
-                    </tr>
-                    <tr>
-                        <td>Prestação:</td>
-                        <td>$${prestacao.toFixed(2)} ao mês</td>
-                    </tr>
-                    <tr>
-                        <td>Coeficiente de Financiamento:</td>
-                        <td>${CF.toFixed(6)}</td>
-                    </tr>
-                    <tr>
-                        <td>Valor Pago:</td>
-                        <td>$${valorPago.toFixed(2)}</td>
-                    </tr>
-                    <tr>
-                        <td>Taxa Real:</td>
-                        <td>${treal.toFixed(4)}% ao mês</td>
-                    </tr>
-                    <tr>
-                        <td>Valor Corrigido:</td>
-                        <td>$${valorCorrigido.toFixed(2)}</td>
-                    </tr>
-                </tbody>
-            </table>
-        </div>`;
-} else {
-    document.getElementById("resultado1").innerHTML = `
-        <div id="titulo_tabela">
-            <div>
-                <p id="titulo">Resultado</p>
-            </div>
-            <table id="tabela">
-                <tbody>
-                    <tr>
-                        <td>Parcelamento:</td>
-                        <td>${p}</td>
-                    </tr>
-                    <tr>
-                        <td>Taxa:</td>
-                        <td>${(t * 100).toFixed(2)}% ao mês = ${(t_anual * 100).toFixed(2)}% ao ano</td>
-                    </tr>
-                    <tr>
-                        <td>Valor Financiado:</td>
-                        <td>$${valorFinanciado}</td>
-                    </tr>
-                    <tr>
-                        <td>Valor Final:</td>
-                        <td>$${valorFinal}</td>
-                    </tr>
-                    <tr>
-                        <td>Valor a Voltar:</td>
-                        <td>$${valorVoltar}</td>
-                    </tr>
-                    <tr>
-                        <td>Entrada:</td>
-                        <td>False</td>
-                    </tr>
-                    <tr>
-                        <td>Meses a voltar:</td>
-                        <td>${mesVoltar}</td>
-                    </tr>
-                    <tr>
-                        <td>Prestação:</td>
-                        <td>$${prestacao.toFixed(2)} ao mês</td>
-                    </tr>
-                    <tr>
-                        <td>Coeficiente de Financiamento:</td>
-                        <td>${CF.toFixed(6)}</td>
-                    </tr>
-                    <tr>
-                        <td>Valor Pago:</td>
-                        <td>$${valorPago.toFixed(2)}</td>
-                    </tr>
-                    <tr>
-                        <td>Taxa Real:</td>
-                        <td>${treal.toFixed(4)}% ao mês</td>
-                    </tr>
-                    <tr>
-                        <td>Valor Corrigido:</td>
-                        <td>$${valorCorrigido.toFixed(2)}</td>
-                    </tr>
-                </tbody>
-            </table>
-        </div>`;
+    linhaEntrada = Gerar_LinhaEntrada(valorFinanciado, sistema.entrada(valorFinanciado, t, p));
+    valorTabela = linhaEntrada.saldoDevedor;
+    prazoTabela = p - 1;
+  }
+
+  var comEventos = sistema === sistemasAmortizacao.price && eventos.length > 0;
+  var tabela = sistema.gerar(valorTabela, t, prazoTabela);
+  if (comEventos) {
+    tabela = Gerar_TabelaPriceComEventos(valorTabela, t, prazoTabela, eventos);
+  }
+  if (indexada) {
+    tabela = Gerar_TabelaIndexada(valorTabela, t, prazoTabela, serieIndice.taxas, chaveSistema);
+  }
+  if (linhaEntrada) {
+    tabela.unshift(indexada ? { ...linhaEntrada, correcao: 0, fator: 1 } : linhaEntrada);
+  }
+
+  // Quitação antecipada: os meses a voltar determinam o valor a voltar ou vice-versa,
+  // lidos do saldo devedor da tabela gerada. A entrada não volta.
+  var quitacao = Calcular_Quitacao(tabela, valorTabela, mesVoltar, valorVoltar);
+  mesVoltar = quitacao.mesesVoltar;
+  valorVoltar = quitacao.valorVoltar;
+  var jurosEconomizados = quitacao.jurosEconomizados;
+  var mesQuitacao = quitacao.mesQuitacao; // null: sem quitação antecipada
+
+  // Prestação, valor pago, taxa real e CET lidos da tabela gerada, que já
+  // reflete o sistema, a entrada, os eventos e a correção pelo índice.
+  var totais = Calcular_Totais(tabela);
+  var prestacao = tabela.find((linha) => linha.prestacao > 0).prestacao; // a primeira, fora as carências
+  var valorPago = totais.prestacao;
+  if (valorFinal == 0) valorFinal = valorPago; // valor final calculado
+  var treal = Calcular_TaxaInterna(valorFinanciado, tabela);
+  var t_anual = Converter_TaxaEfetivaAnual(t);
+  var t_nominal = Converter_TaxaNominalAnual(t);
+  var cet = Calcular_CET(valorFinanciado, tabela, custos);
+  var totalCustos = valorFinanciado * custos.iof + custos.tac + custos.seguro * tabela.length;
+  var valorCorrigido = Calcular_ValorCorrigido(valorPago, t, tabela.length);
+  // o coeficiente de financiamento só existe na Price, de prestação constante
+  var CF = chaveSistema === "price" ? Calcular_CoeficienteFinanciamento(t, p, checkbox.checked) : null;
+
+  // Resumo da simulação: valor é o número exportado, texto o que aparece na tela
+  var moeda = (valor) => ({ valor, texto: Formatar_Moeda(valor) });
+  var taxaMensalAnual = (mensal, anual) =>
+    Traduzir("taxa_mensal_anual", { mensal: Formatar_Percentual(mensal), anual: Formatar_Percentual(anual) });
+  var resumo = [
+    { rotulo: "parcelamento", valor: p, texto: `${p}` },
+    { rotulo: "taxa", texto: taxaMensalAnual(t, t_anual) },
+    { rotulo: "taxa_nominal", texto: Traduzir("taxa_nominal_valor", { valor: Formatar_Percentual(t_nominal) }) },
+    { rotulo: "custos", ...moeda(totalCustos) },
+    { rotulo: "cet", texto: cet === null ? Traduzir("nao_convergiu") : taxaMensalAnual(cet.mensal, cet.anual) },
+    { rotulo: "valor_financiado", ...moeda(valorFinanciado) },
+    { rotulo: "valor_final", ...moeda(valorFinal) },
+    { rotulo: "valor_voltar", ...moeda(valorVoltar) },
+    { rotulo: "entrada", texto: Traduzir(checkbox.checked ? "sim" : "nao") },
+    { rotulo: "meses_voltar", valor: mesVoltar, texto: `${mesVoltar}` },
+    { rotulo: "juros_economizados", ...moeda(jurosEconomizados) },
+    CF !== null
+      ? { rotulo: "prestacao", valor: prestacao, texto: Traduzir("ao_mes", { valor: Formatar_Moeda(prestacao) }) }
+      : { rotulo: "prestacao_inicial", ...moeda(prestacao) },
+    CF !== null && { rotulo: "coeficiente", valor: CF, casas: 6, texto: Formatar_Numero(CF, 6) },
+    { rotulo: "valor_pago", ...moeda(valorPago) },
+    {
+      rotulo: "taxa_real",
+      texto: treal === null ? Traduzir("nao_convergiu") : Traduzir("ao_mes", { valor: Formatar_Percentual(treal, 4) }),
+    },
+    { rotulo: "valor_corrigido", ...moeda(valorCorrigido) },
+  ]
+    .filter(Boolean)
+    .map((item) => ({ ...item, rotulo: Traduzir(item.rotulo) }));
+  document.getElementById("resultado1").replaceChildren(Criar_TabelaResumo(Traduzir("resultado"), resumo));
+
+  var total = { mes: Traduzir("total"), ...totais, saldoDevedor: 0 };
+  var notas = [];
+
+  // Valores nominais (corrigidos pelo índice) e reais (na data do contrato)
+  if (indexada) {
+    tabela = tabela.map((linha) => ({ ...linha, prestacaoReal: linha.prestacao / linha.fator }));
+    total.correcao = tabela.reduce((soma, linha) => soma + linha.correcao, 0);
+    total.prestacaoReal = tabela.reduce((soma, linha) => soma + linha.prestacaoReal, 0);
+    notas.push(
+      Traduzir("resumo_indice", {
+        indice: indices[chaveIndice].nome,
+        inicio: inicioIndice,
+        nominal: Formatar_Moeda(totais.prestacao),
+        real: Formatar_Moeda(total.prestacaoReal),
+        correcao: Formatar_Moeda(total.correcao),
+      }) + (serieIndice.projetados > 0 ? " " + Traduzir("resumo_projecao", { meses: serieIndice.projetados }) : "")
+    );
+  }
+
+  // Economia em relação à mesma Tabela Price sem os eventos
+  if (comEventos) {
+    var jurosSemEventos = Calcular_Totais(Gerar_TabelaPrice(valorTabela, t, prazoTabela)).juros;
+    notas.push(
+      Traduzir("resumo_eventos", {
+        prazoOriginal: p,
+        jurosOriginais: Formatar_Moeda(jurosSemEventos),
+        prazo: tabela.length,
+        juros: Formatar_Moeda(totais.juros),
+        economia: Formatar_Moeda(jurosSemEventos - totais.juros),
+      })
+    );
+  }
+
+  var colunas = [
+    { chave: "mes", titulo: Traduzir("mes") },
+    { chave: "prestacao", titulo: Traduzir("coluna_prestacao"), formatar: Formatar_Moeda },
+    { chave: "juros", titulo: Traduzir("coluna_juros"), formatar: Formatar_Moeda },
+    indexada && { chave: "correcao", titulo: Traduzir("coluna_correcao"), formatar: Formatar_Moeda },
+    { chave: "amortizacao", titulo: Traduzir("coluna_amortizacao"), formatar: Formatar_Moeda },
+    { chave: "saldoDevedor", titulo: Traduzir("coluna_saldo"), formatar: Formatar_Moeda },
+    indexada && { chave: "prestacaoReal", titulo: Traduzir("coluna_prestacao_real"), formatar: Formatar_Moeda },
+  ].filter(Boolean);
+
+  // Destaque da entrada, das carências, das amortizações extras e da quitação
+  var atributos = function (linha) {
+    if (linha.mes === mesQuitacao) {
+      return { classe: "quitacao", titulo: Traduzir("quitacao_antecipada", { valor: Formatar_Moeda(valorVoltar) }) };
+    }
+    if (linha.mes === 0) return { classe: "entrada", titulo: Traduzir("linha_entrada") };
+    if (linha.carencia) return { classe: "carencia", titulo: Traduzir("linha_carencia") };
+    if (linha.extra > 0) return { classe: "extra", titulo: Traduzir("linha_extra", { valor: Formatar_Moeda(linha.extra) }) };
+    return {};
+  };
+
+  document.getElementById("resultado2").replaceChildren(
+    Criar_Tabela({
+      legenda: Traduzir(`sistema_${chaveSistema}`),
+      colunas,
+      linhas: tabela,
+      rodape: total,
+      atributos,
+      ordenavel: true,
+    }),
+    ...notas.map(Criar_Nota)
+  );
+
+  // Comparação dos sistemas de amortização para os mesmos dados
+  var comparacao = Object.keys(sistemasAmortizacao).map(function (chave) {
+    var tabelaSistema = checkbox.checked
+      ? Gerar_TabelaComEntrada(chave, valorFinanciado, t, p)
+      : sistemasAmortizacao[chave].gerar(valorFinanciado, t, p);
+    var totaisSistema = Calcular_Totais(tabelaSistema);
+    return {
+      sistema: Traduzir(`sistema_${chave}`),
+      primeira: tabelaSistema[0].prestacao,
+      ultima: tabelaSistema[tabelaSistema.length - 1].prestacao,
+      juros: totaisSistema.juros,
+      valorPago: totaisSistema.prestacao,
+    };
+  });
+
+  document.getElementById("resultado3").replaceChildren(
+    Criar_Tabela({
+      legenda: Traduzir("comparacao"),
+      colunas: [
+        { chave: "sistema", titulo: Traduzir("sistema") },
+        { chave: "primeira", titulo: Traduzir("primeira_prestacao"), formatar: Formatar_Moeda },
+        { chave: "ultima", titulo: Traduzir("ultima_prestacao"), formatar: Formatar_Moeda },
+        { chave: "juros", titulo: Traduzir("juros_total"), formatar: Formatar_Moeda },
+        { chave: "valorPago", titulo: Traduzir("coluna_valor_pago"), formatar: Formatar_Moeda },
+      ],
+      linhas: comparacao,
+      ordenavel: true,
+    })
+  );
+
+  document.getElementById("exportar").hidden = false;
+
+  // A URL passa a reproduzir esta simulação
+  history.replaceState(null, "", Codificar_URL(Ler_Formulario()));
+};
+
+document.getElementById("exportarCSV").onclick = function () {
+  Baixar_Arquivo(Gerar_CSV(Extrair_Simulacao()), "simulacao-cdc.csv", "text/csv;charset=utf-8");
+};
+
+document.getElementById("exportarXLS").onclick = function () {
+  Baixar_Arquivo(Gerar_PlanilhaXML(Extrair_Simulacao()), "simulacao-cdc.xls", "application/vnd.ms-excel");
+};
+
+document.getElementById("imprimir").onclick = function () {
+  window.print();
+};
+
+// Preenche a lista de cenários salvos no localStorage.
+function Atualizar_ListaCenarios() {
+  var lista = document.getElementById("listaCenarios");
+  lista.innerHTML = "";
+  Object.keys(Listar_Cenarios()).forEach(function (nome) {
+    var opcao = document.createElement("option");
+    opcao.value = nome;
+    opcao.textContent = nome;
+    lista.appendChild(opcao);
+  });
 }
 
+document.getElementById("salvarCenario").onclick = function () {
+  var nome = document.getElementById("nomeCenario").value.trim();
+  if (nome === "") {
+    Exibir_Erros([{ campos: [], mensagem: Traduzir("erro_nome_cenario") }]);
+    return;
+  }
+  Salvar_Cenario(nome, Ler_Formulario());
+  Atualizar_ListaCenarios();
+  document.getElementById("listaCenarios").value = nome;
+};
 
+document.getElementById("carregarCenario").onclick = function () {
+  var nome = document.getElementById("listaCenarios").value;
+  var cenario = Listar_Cenarios()[nome];
+  if (cenario === undefined) return;
+  Preencher_Formulario(cenario);
+  document.getElementById("nomeCenario").value = nome;
+  document.getElementById("submitButton").click();
+};
 
+document.getElementById("removerCenario").onclick = function () {
+  Remover_Cenario(document.getElementById("listaCenarios").value);
+  Atualizar_ListaCenarios();
+};
 
-  document.getElementById("resultado2").innerHTML = `
-    <div id="titulo_tabela">
-        <div>
-            <p id = "titulo">Tabela Price</p>  
-        </div> 
-                    
-        <div>
-            <table id="tabela">
-                <thead id="nomes_colunas">
-                    <tr>
-                        <th>Mês</th>
-                        <th>Prestação</th>
-                        <th>Juros</th>
-                        <th>Amortização</th>
-                        <th>Saldo Devedor</th>
-                    </tr>
-                </thead>
-                <tbody id="tabelaBody"></tbody>
-            </table>       
-        </div> 
-    </div>
-    `;
-
-  var tabelaBody = document.getElementById("tabelaBody");
-  var pt = 0; // prestação total
-  var jt = 0; // juros total
-  var at = 0; // amortização total
-  var juros = 0;
-  var amortizacao = 0;
-  var saldoDevedor = 0;
+document.getElementById("copiarLink").onclick = function () {
+  var link = window.location.href.split("?")[0] + Codificar_URL(Ler_Formulario());
+  if (navigator.clipboard) navigator.clipboard.writeText(link);
+  else window.prompt(Traduzir("copie_link"), link);
+};
 
-  if (checkbox.checked) {
-    juros = valorFinanciado * t;
-    amortizacao = prestacao - juros;
-    saldoDevedor = valorFinanciado - amortizacao;
-    valorFinanciado = saldoDevedor;
-    pt += prestacao;
-    jt += juros;
-    at += amortizacao;
-    p -= 1;
+// Mostra os eventos cadastrados, cada um com um botão para removê-lo.
+function Atualizar_ListaEventos() {
+  var lista = document.getElementById("listaEventos");
+  lista.innerHTML = "";
+  eventos.forEach(function (evento, i) {
+    var item = document.createElement("li");
+    if (evento.tipo === "extra") {
+      item.textContent = Traduzir(evento.recorrencia > 0 ? "evento_extra_recorrente" : "evento_extra", {
+        valor: Formatar_Moeda(evento.valor),
+        mes: evento.mes,
+        recorrencia: evento.recorrencia,
+        reduzir: Traduzir(`reduzir_${evento.reduzir}`),
+      });
+    } else {
+      item.textContent = Traduzir("evento_carencia", { meses: evento.meses, mes: evento.mes });
+    }
+    var remover = document.createElement("input");
+    remover.type = "button";
+    remover.className = "button";
+    remover.value = "×";
+    remover.setAttribute("aria-label", Traduzir("remover_evento"));
+    remover.onclick = function () {
+      eventos.splice(i, 1);
+      Atualizar_ListaEventos();
+    };
+    item.appendChild(remover);
+    lista.appendChild(item);
+  });
+}
+
+document.getElementById("adicionarExtra").onclick = function () {
+  var evento = {
+    tipo: "extra",
+    valor: Converter_Numero(document.getElementById("iextValor").value),
+    mes: Converter_Numero(document.getElementById("iextMes").value),
+    recorrencia: Converter_Numero(document.getElementById("iextRec").value),
+    reduzir: document.getElementById("iextRed").value,
+  };
+  if (!(evento.valor > 0) || !(Number.isInteger(evento.mes) && evento.mes >= 1) || !(Number.isInteger(evento.recorrencia) && evento.recorrencia >= 0)) {
+    Exibir_Erros([{ campos: [], mensagem: Traduzir("erro_evento_extra") }]);
+    return;
   }
+  eventos.push(evento);
+  Atualizar_ListaEventos();
+};
 
-  for (var i = 1; i <= p; i++) {
-    juros = valorFinanciado * t;
-    amortizacao = prestacao - juros;
-    saldoDevedor = valorFinanciado - amortizacao;
-    valorFinanciado = saldoDevedor;
-    pt += prestacao;
-    jt += juros;
-    at += amortizacao;
-
-    var linha = document.createElement("tr");
-
-    var celula = document.createElement("td");
-    celula.textContent = `${i}`;
-    linha.appendChild(celula);
-    var celula = document.createElement("td");
-    celula.textContent = `${prestacao.toFixed(2)}`;
-    linha.appendChild(celula);
-    var celula = document.createElement("td");
-    celula.textContent = `${juros.toFixed(2)}`;
-    linha.appendChild(celula);
-    var celula = document.createElement("td");
-    celula.textContent = `${amortizacao.toFixed(2)}`;
-    linha.appendChild(celula);
-    var celula = document.createElement("td");
-    celula.textContent = `${saldoDevedor.toFixed(2)}`;
-    linha.appendChild(celula);
-
-    tabelaBody.appendChild(linha);
+document.getElementById("adicionarCarencia").onclick = function () {
+  var evento = {
+    tipo: "carencia",
+    mes: Converter_Numero(document.getElementById("icarMes").value),
+    meses: Converter_Numero(document.getElementById("icarMeses").value),
+  };
+  if (!(Number.isInteger(evento.mes) && evento.mes >= 1) || !(Number.isInteger(evento.meses) && evento.meses >= 1)) {
+    Exibir_Erros([{ campos: [], mensagem: Traduzir("erro_evento_carencia") }]);
+    return;
   }
+  eventos.push(evento);
+  Atualizar_ListaEventos();
+};
 
-  var linha = document.createElement("tr");
-  var celula = document.createElement("th");
-  celula.textContent = `Total`;
-  linha.appendChild(celula);
-  var celula = document.createElement("th");
-  celula.textContent = `${pt.toFixed(2)}`;
-  linha.appendChild(celula);
-  var celula = document.createElement("th");
-  celula.textContent = `${jt.toFixed(2)}`;
-  linha.appendChild(celula);
-  var celula = document.createElement("th");
-  celula.textContent = `${at.toFixed(2)}`;
-  linha.appendChild(celula);
-  var celula = document.createElement("th");
-  celula.textContent = `${0}`;
-  linha.appendChild(celula);
-  tabelaBody.appendChild(linha);
+document.getElementById("compararOfertas").onclick = function () {
+  Exibir_Comparacao(document.getElementById("tabelaOfertas"), document.getElementById("graficoSaldo"));
 };
+
+document.getElementById("gerarSensibilidade").onclick = function () {
+  var taxas = Ler_Lista(document.getElementById("taxasSensibilidade").value).map((taxa) => taxa / 100);
+  var prazos = Ler_Lista(document.getElementById("prazosSensibilidade").value);
+  var valorFinanciado = Converter_Numero(document.getElementById("ipv").value);
+  var destino = document.getElementById("matrizSensibilidade");
+  var validos =
+    taxas.length > 0 &&
+    prazos.length > 0 &&
+    taxas.every((taxa) => taxa > 0) &&
+    prazos.every((p) => Number.isInteger(p) && p >= 1) &&
+    valorFinanciado > 0;
+  if (!validos) {
+    destino.innerHTML = `<p class="erro-campo">${Traduzir("erro_lista")}</p>`;
+    return;
+  }
+  var isis = document.getElementById("isis").value;
+  var chaveSistema = isis in sistemasAmortizacao ? isis : "price";
+  Exibir_Sensibilidade(destino, valorFinanciado, taxas, prazos, chaveSistema, document.getElementById("idp").checked);
+};
+
+// Idioma e moeda escolhidos ficam salvos para as próximas visitas
+function Aplicar_Localidade() {
+  var idioma = document.getElementById("idioma").value;
+  var moeda = document.getElementById("moeda").value;
+  localStorage.setItem("localidadeCDC", JSON.stringify({ idioma, moeda }));
+  Definir_Localidade(idioma, moeda);
+  Traduzir_Pagina();
+  Atualizar_ListaEventos();
+  // refaz a simulação na nova localidade, se já houver uma na tela
+  if (!document.getElementById("exportar").hidden) {
+    document.getElementById("submitButton").click();
+  }
+}
+
+document.getElementById("idioma").onchange = Aplicar_Localidade;
+document.getElementById("moeda").onchange = Aplicar_Localidade;
+
+// Só restaura valores que ainda existam nas listas; o resto fica no padrão da página
+function Restaurar_Localidade() {
+  var localidadeSalva;
+  try {
+    localidadeSalva = JSON.parse(localStorage.getItem("localidadeCDC")) || {};
+  } catch (e) {
+    // armazenamento corrompido: fica com o padrão
+    localidadeSalva = {};
+  }
+  ["idioma", "moeda"].forEach(function (id) {
+    var lista = document.getElementById(id);
+    if ([...lista.options].some((opcao) => opcao.value === localidadeSalva[id])) {
+      lista.value = localidadeSalva[id];
+    }
+  });
+}
+
+Restaurar_Localidade();
+Aplicar_Localidade();
+
+Atualizar_ListaCenarios();
+
+// Um link com os campos na URL reproduz a simulação ao abrir a página,
+// depois de lidas as séries de índices que ela possa usar
+var dadosURL = Ler_URL();
+Ler_Indices().then(function () {
+  if (dadosURL) {
+    Preencher_Formulario(dadosURL);
+    document.getElementById("submitButton").click();
+  }
+});
@@ -0,0 +1,62 @@
+// Simulações compartilháveis: os campos do formulário são gravados na URL
+// (?parc=96&itax=4.55&...) e cenários nomeados ficam no localStorage.
+
+// Campos do formulário que descrevem uma simulação.
+export const camposSimulacao = ["parc", "itax", "ipv", "ipp", "ipb", "mav", "iiof", "itac", "iseg", "idp", "isis", "iind", "iinicio"];
+
+const chaveCenarios = "cenariosCDC";
+
+// Lê os campos do formulário; a caixa "Entrada?" vira "1" ou "0".
+export function Ler_Formulario() {
+  var dados = {};
+  camposSimulacao.forEach(function (id) {
+    var campo = document.getElementById(id);
+    dados[id] = campo.type === "checkbox" ? (campo.checked ? "1" : "0") : campo.value;
+  });
+  return dados;
+}
+
+// Preenche o formulário com os campos presentes em dados.
+export function Preencher_Formulario(dados) {
+  camposSimulacao.forEach(function (id) {
+    if (dados[id] === undefined || dados[id] === null) return;
+    var campo = document.getElementById(id);
+    if (campo.type === "checkbox") campo.checked = dados[id] === "1";
+    else campo.value = dados[id];
+  });
+}
+
+export function Codificar_URL(dados) {
+  return "?" + new URLSearchParams(dados).toString();
+}
+
+// Campos da simulação presentes na URL da página, ou null se não houver nenhum.
+export function Ler_URL() {
+  var urlParams = new URLSearchParams(window.location.search);
+  var dados = {};
+  camposSimulacao.forEach(function (id) {
+    if (urlParams.has(id)) dados[id] = urlParams.get(id);
+  });
+  return Object.keys(dados).length > 0 ? dados : null;
+}
+
+export function Listar_Cenarios() {
+  try {
+    return JSON.parse(localStorage.getItem(chaveCenarios)) || {};
+  } catch (e) {
+    // armazenamento corrompido: recomeça do zero
+    return {};
+  }
+}
+
+export function Salvar_Cenario(nome, dados) {
+  var cenarios = Listar_Cenarios();
+  cenarios[nome] = dados;
+  localStorage.setItem(chaveCenarios, JSON.stringify(cenarios));
+}
+
+export function Remover_Cenario(nome) {
+  var cenarios = Listar_Cenarios();
+  delete cenarios[nome];
+  localStorage.setItem(chaveCenarios, JSON.stringify(cenarios));
+}
@@ -0,0 +1,171 @@
+// Painel de comparação de ofertas: resume lado a lado os cenários salvos e
+// a simulação atual, gera uma matriz de sensibilidade para uma varredura de
+// taxas e prazos e desenha o saldo devedor de cada oferta em um canvas.
+
+import { Resumir_Oferta, Gerar_MatrizSensibilidade, Gerar_TabelaSistema, sistemasAmortizacao } from "./financeiro.mjs";
+import { Listar_Cenarios, Ler_Formulario } from "./cenarios.js";
+import { Traduzir, Formatar_Moeda, Formatar_Percentual } from "./mensagens.js";
+import { Criar_Tabela } from "./tabelas.js";
+import { Converter_Numero, Validar_Campos } from "./validacao.js";
+
+// Cor da curva de cada oferta no gráfico, na ordem da tabela.
+const coresOfertas = ["#ff6347", "steelblue", "seagreen", "darkorange", "purple", "goldenrod"];
+
+// Converte os campos de um cenário em uma oferta, ou null se a taxa, o prazo
+// ou o valor financiado forem inválidos ou zero (cenários que calculam uma
+// incógnita). A oferta segue o sistema e a entrada do cenário.
+function Converter_Cenario(nome, dados) {
+  var { valores, erros } = Validar_Campos(dados, ["parc", "itax", "ipv"]);
+  if (erros.length > 0 || !(valores.parc >= 1 && valores.itax > 0 && valores.ipv > 0)) return null;
+  return {
+    nome,
+    p: valores.parc,
+    t: valores.itax / 100,
+    valorFinanciado: valores.ipv,
+    sistema: dados.isis in sistemasAmortizacao ? dados.isis : "price",
+    entrada: dados.idp === "1",
+  };
+}
+
+// A simulação do formulário seguida dos cenários salvos.
+export function Listar_Ofertas() {
+  var cenarios = Listar_Cenarios();
+  var ofertas = [Converter_Cenario(Traduzir("simulacao_atual"), Ler_Formulario())];
+  Object.keys(cenarios).forEach(function (nome) {
+    ofertas.push(Converter_Cenario(nome, cenarios[nome]));
+  });
+  return ofertas.filter((oferta) => oferta !== null);
+}
+
+// Lê uma lista de números separados por espaço ou ponto e vírgula,
+// como "1 1,5 2" ou "12; 24; 36".
+export function Ler_Lista(texto) {
+  return String(texto)
+    .split(/[;\s]+/)
+    .filter((item) => item !== "")
+    .map(Converter_Numero);
+}
+
+export function Exibir_Comparacao(destino, canvas) {
+  var ofertas = Listar_Ofertas();
+  if (ofertas.length === 0) {
+    destino.innerHTML = `<p>${Traduzir("sem_ofertas")}</p>`;
+    canvas.getContext("2d").clearRect(0, 0, canvas.width, canvas.height);
+    return;
+  }
+
+  var linhas = ofertas.map(function (oferta, i) {
+    var resumo = Resumir_Oferta(oferta.valorFinanciado, oferta.t, oferta.p, oferta.sistema, oferta.entrada);
+    return { ...oferta, ...resumo, indice: i };
+  });
+
+  destino.replaceChildren(
+    Criar_Tabela({
+      colunas: [
+        {
+          chave: "nome",
+          titulo: Traduzir("oferta"),
+          // mesma cor da curva da oferta no gráfico
+          decorar: (celula, oferta) => (celula.style.color = coresOfertas[oferta.indice % coresOfertas.length]),
+        },
+        {
+          chave: "sistema",
+          titulo: Traduzir("coluna_sistema"),
+          formatar: function (sistema, oferta) {
+            var nome = Traduzir(`sistema_${sistema}`);
+            return oferta.entrada ? Traduzir("sistema_com_entrada", { sistema: nome }) : nome;
+          },
+        },
+        { chave: "p", titulo: Traduzir("campo_parc") },
+        { chave: "t", titulo: Traduzir("campo_itax"), formatar: (t) => Formatar_Percentual(t) },
+        { chave: "valorFinanciado", titulo: Traduzir("campo_ipv"), formatar: Formatar_Moeda },
+        { chave: "prestacao", titulo: Traduzir("coluna_prestacao"), formatar: Formatar_Moeda },
+        { chave: "valorPago", titulo: Traduzir("coluna_valor_pago"), formatar: Formatar_Moeda },
+        { chave: "juros", titulo: Traduzir("juros_total"), formatar: Formatar_Moeda },
+        { chave: "valorCorrigido", titulo: Traduzir("coluna_valor_corrigido"), formatar: Formatar_Moeda },
+      ],
+      linhas,
+      ordenavel: true,
+    })
+  );
+
+  Desenhar_GraficoSaldo(canvas, ofertas);
+}
+
+// Duas matrizes lado a lado, taxas nas linhas e prazos nas colunas:
+// a primeira prestação e o total de juros de cada combinação, no sistema
+// e com a entrada do formulário.
+export function Exibir_Sensibilidade(destino, valorFinanciado, taxas, prazos, chaveSistema = "price", entrada = false) {
+  var matriz = Gerar_MatrizSensibilidade(valorFinanciado, taxas, prazos, chaveSistema, entrada);
+  var nome = Traduzir(`sistema_${chaveSistema}`);
+  var sistema = entrada ? Traduzir("sistema_com_entrada", { sistema: nome }) : nome;
+  var tabela = function (legenda, campo) {
+    var colunas = [{ chave: "taxa", titulo: Traduzir("taxa_prazo"), formatar: (t) => Formatar_Percentual(t) }];
+    prazos.forEach((p, j) => colunas.push({ chave: j, titulo: `${p}`, formatar: Formatar_Moeda }));
+    var linhas = matriz.map(function (linha, i) {
+      var valores = { taxa: taxas[i] };
+      linha.forEach((resumo, j) => (valores[j] = resumo[campo]));
+      return valores;
+    });
+    return Criar_Tabela({ legenda, colunas, linhas });
+  };
+  destino.replaceChildren(
+    tabela(Traduzir("matriz_prestacoes", { sistema }), "prestacao"),
+    tabela(Traduzir("matriz_juros", { sistema }), "juros"),
+  );
+}
+
+// Gráfico de linhas do saldo devedor mês a mês de cada oferta, no seu sistema.
+export function Desenhar_GraficoSaldo(canvas, ofertas) {
+  var ctx = canvas.getContext("2d");
+  var margem = { esquerda: 90, direita: 20, topo: 20, base: 40 };
+  var largura = canvas.width - margem.esquerda - margem.direita;
+  var altura = canvas.height - margem.topo - margem.base;
+  var mesesMax = Math.max(...ofertas.map((oferta) => oferta.p));
+  var saldoMax = Math.max(...ofertas.map((oferta) => oferta.valorFinanciado));
+  var x = (mes) => margem.esquerda + (mes / mesesMax) * largura;
+  var y = (saldo) => margem.topo + altura - (saldo / saldoMax) * altura;
+
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  ctx.font = "12px sans-serif";
+  ctx.fillStyle = "black";
+  ctx.strokeStyle = "black";
+  ctx.lineWidth = 1;
+
+  // Eixos com marcas em 0, metade e máximo.
+  ctx.beginPath();
+  ctx.moveTo(margem.esquerda, margem.topo);
+  ctx.lineTo(margem.esquerda, margem.topo + altura);
+  ctx.lineTo(margem.esquerda + largura, margem.topo + altura);
+  ctx.stroke();
+  ctx.textAlign = "right";
+  ctx.textBaseline = "middle";
+  [0, 0.5, 1].forEach(function (fracao) {
+    ctx.fillText(Formatar_Moeda(saldoMax * fracao), margem.esquerda - 6, y(saldoMax * fracao));
+  });
+  ctx.textAlign = "center";
+  ctx.textBaseline = "top";
+  [0, 0.5, 1].forEach(function (fracao) {
+    var mes = Math.round(mesesMax * fracao);
+    ctx.fillText(String(mes), x(mes), margem.topo + altura + 6);
+  });
+  ctx.fillText(Traduzir("mes"), margem.esquerda + largura / 2, margem.topo + altura + 22);
+
+  ofertas.forEach(function (oferta, i) {
+    var cor = coresOfertas[i % coresOfertas.length];
+    ctx.strokeStyle = cor;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(x(0), y(oferta.valorFinanciado));
+    Gerar_TabelaSistema(oferta.sistema, oferta.valorFinanciado, oferta.t, oferta.p, oferta.entrada).forEach(function (linha) {
+      ctx.lineTo(x(linha.mes), y(Math.max(linha.saldoDevedor, 0)));
+    });
+    ctx.stroke();
+
+    // legenda no canto superior direito
+    ctx.fillStyle = cor;
+    ctx.fillRect(canvas.width - margem.direita - 150, margem.topo + i * 16, 10, 10);
+    ctx.textAlign = "left";
+    ctx.fillText(oferta.nome, canvas.width - margem.direita - 135, margem.topo + i * 16 - 1);
+  });
+}
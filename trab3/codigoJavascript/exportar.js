@@ -0,0 +1,97 @@
+// Exportação do resultado da simulação (tabelas #resultado1 e #resultado2)
+// em CSV e em planilha XML do Excel (SpreadsheetML), que o Excel e o
+// LibreOffice abrem como .xls sem precisar de biblioteca externa.
+
+import { Traduzir } from "./mensagens.js";
+
+// Lê as linhas de uma tabela do DOM como listas de textos das células.
+// Células com data-valor exportam o número puro em vez do texto formatado
+// na moeda da página, para que as planilhas possam fazer contas com ele.
+// O número vai arredondado em centavos (ou nas casas de data-casas), sem
+// resíduos de ponto flutuante como 8.5e-13.
+export function Extrair_Tabela(tabela) {
+  if (!tabela) return [];
+  return Array.from(tabela.querySelectorAll("tr")).map(function (linha) {
+    return Array.from(linha.querySelectorAll("th, td")).map(function (celula) {
+      if (celula.dataset.valor === undefined) return celula.textContent.trim();
+      var casas = Number(celula.dataset.casas ?? 2);
+      return String(Number(Number(celula.dataset.valor).toFixed(casas)));
+    });
+  });
+}
+
+// Seções exportadas: o resumo dos dados e a tabela mês a mês com o Total.
+export function Extrair_Simulacao() {
+  return [
+    { titulo: Traduzir("secao_resumo"), linhas: Extrair_Tabela(document.querySelector("#resultado1 table")) },
+    { titulo: Traduzir("secao_tabela"), linhas: Extrair_Tabela(document.querySelector("#resultado2 table")) },
+  ];
+}
+
+// Converte o texto de uma célula em número quando ela contém só um valor,
+// como "564.88" ou "1.5e-7"; caso contrário retorna null.
+function Converter_Celula(texto) {
+  return texto !== "" && isFinite(texto) ? Number(texto) : null;
+}
+
+function Escapar_CSV(texto) {
+  return /[",\n;]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+function Escapar_XML(texto) {
+  return texto.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+// CSV com as seções separadas por uma linha em branco. O BOM faz o Excel
+// reconhecer o arquivo como UTF-8 e manter os acentos.
+export function Gerar_CSV(secoes) {
+  var linhas = [];
+  secoes.forEach(function (secao, i) {
+    if (i > 0) linhas.push("");
+    linhas.push(Escapar_CSV(secao.titulo));
+    secao.linhas.forEach(function (linha) {
+      linhas.push(linha.map(Escapar_CSV).join(","));
+    });
+  });
+  return "\uFEFF" + linhas.join("\r\n") + "\r\n";
+}
+
+// Planilha XML com uma aba por seção; células numéricas são gravadas como
+// números para que somas e gráficos funcionem direto no Excel.
+export function Gerar_PlanilhaXML(secoes) {
+  var abas = secoes.map(function (secao) {
+    var linhas = secao.linhas.map(function (linha) {
+      var celulas = linha.map(function (texto) {
+        var numero = Converter_Celula(texto);
+        return numero === null
+          ? `<Cell><Data ss:Type="String">${Escapar_XML(texto)}</Data></Cell>`
+          : `<Cell><Data ss:Type="Number">${numero}</Data></Cell>`;
+      });
+      return `   <Row>${celulas.join("")}</Row>`;
+    });
+    return ` <Worksheet ss:Name="${Escapar_XML(secao.titulo)}">
+  <Table>
+${linhas.join("\n")}
+  </Table>
+ </Worksheet>`;
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<?mso-application progid="Excel.Sheet"?>
+<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet"
+ xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">
+${abas.join("\n")}
+</Workbook>
+`;
+}
+
+// Faz o navegador baixar o conteúdo como um arquivo.
+export function Baixar_Arquivo(conteudo, nome, tipo) {
+  var url = URL.createObjectURL(new Blob([conteudo], { type: tipo }));
+  var link = document.createElement("a");
+  link.href = url;
+  link.download = nome;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,505 @@
+// Núcleo financeiro da calculadora CDC: funções puras, sem acesso ao DOM,
+// que podem ser importadas tanto pela página (calc.js) quanto pelo Node.
+// Taxas são frações (0.0455 = 4,55% ao mês) e prazos são em meses.
+
+// Com entrada (série antecipada) a primeira das p prestações é paga no ato,
+// então cada prestação vale a da série postecipada descontada de um mês.
+export function Calcular_PrestacaoMensal(valorFinanciado, t, p, entrada = false) {
+  if (t == 0) return valorFinanciado / p; // sem juros
+  let prestacao = (valorFinanciado * t) / (1 - Math.pow(1 + t, -p));
+  return entrada ? prestacao / (1 + t) : prestacao;
+}
+
+export function Calcular_CoeficienteFinanciamento(t, p, entrada = false) {
+  if (t == 0) return 1 / p; // sem juros
+  var CF = (t * Math.pow(1 + t, p)) / (Math.pow(1 + t, p) - 1);
+  return entrada ? CF / (1 + t) : CF;
+}
+
+export function Calcular_ValorPago(valorFinanciado, t, p, entrada = false) {
+  let prestacao = Calcular_PrestacaoMensal(valorFinanciado, t, p, entrada);
+  var valor_pago = prestacao * p;
+  return valor_pago;
+}
+
+// Fator de valor presente de uma série de p prestações unitárias.
+// Com entrada, a primeira prestação é paga no ato (série antecipada).
+export function Calcular_FatorValorPresente(t, p, entrada) {
+  if (Math.abs(t) < 1e-12) return p;
+  var fator = (1 - Math.pow(1 + t, -p)) / t;
+  return entrada ? fator * (1 + t) : fator;
+}
+
+// Derivada do fator de valor presente em relação à taxa.
+function Calcular_DerivadaFatorValorPresente(t, p, entrada) {
+  if (Math.abs(t) < 1e-12) {
+    // limite quando t -> 0
+    return entrada ? -(p * (p - 1)) / 2 : -(p * (p + 1)) / 2;
+  }
+  var fator = (1 - Math.pow(1 + t, -p)) / t;
+  var derivada = (p * Math.pow(1 + t, -p - 1) - fator) / t;
+  return entrada ? derivada * (1 + t) + fator : derivada;
+}
+
+// Encontra a taxa pelo método da bisseção, usado quando Newton diverge.
+export function Calcular_TaxaReal_MetodoBissecao(valorFinanciado, p, prestacao, entrada) {
+  const precisao = 0.000001;
+  var f = function (t) {
+    return prestacao * Calcular_FatorValorPresente(t, p, entrada) - valorFinanciado;
+  };
+  // f é decrescente em t: procura um intervalo [a, b] com f(a) > 0 > f(b)
+  var a = -0.99;
+  var b = 1;
+  while (f(b) > 0 && b < 1e6) b *= 2;
+  if (f(a) < 0 || f(b) > 0) return null; // sem intervalo com troca de sinal
+  for (var iteracoes = 0; iteracoes < 1000; iteracoes++) {
+    var meio = (a + b) / 2;
+    var erro = f(meio);
+    if (Math.abs(erro) < precisao || (b - a) / 2 < precisao * 1e-3) return meio;
+    if (erro > 0) a = meio;
+    else b = meio;
+  }
+  return null; // não convergiu após 1000 iterações
+}
+
+// Encontra a taxa mensal efetiva que faz p prestações iguais, cuja soma é
+// valorPago, quitarem valorFinanciado. Retorna a taxa (fração, não %) ou
+// null se nenhum método convergir.
+export function Calcular_TaxaReal_MetodoNewton(valorFinanciado, p, valorPago, entrada = false) {
+  const precisao = 0.000001; // Define a precisão desejada
+  var prestacao = valorPago / p;
+  var estimativa = 0.1; // Estimativa inicial para a taxa de juros
+  var iteracoes = 0; // Contador de iterações
+
+  if (!(valorFinanciado > 0) || !(prestacao > 0) || !(p >= 1)) return null; // dados insuficientes
+
+  var erro = prestacao * Calcular_FatorValorPresente(estimativa, p, entrada) - valorFinanciado;
+  while (Math.abs(erro) > precisao) {
+    var derivada = prestacao * Calcular_DerivadaFatorValorPresente(estimativa, p, entrada);
+    estimativa -= erro / derivada;
+    iteracoes++;
+
+    // Newton divergiu: taxa fora do domínio, valor não numérico ou loop longo demais
+    if (!isFinite(estimativa) || estimativa <= -1 || iteracoes > 1000) {
+      return Calcular_TaxaReal_MetodoBissecao(valorFinanciado, p, prestacao, entrada);
+    }
+    erro = prestacao * Calcular_FatorValorPresente(estimativa, p, entrada) - valorFinanciado;
+  }
+  return estimativa;
+}
+
+// Conversões de taxa. Taxa efetiva anual equivalente a uma taxa mensal t.
+export function Converter_TaxaEfetivaAnual(t) {
+  return Math.pow(1 + t, 12) - 1;
+}
+
+// Taxa mensal equivalente a uma taxa efetiva anual.
+export function Converter_TaxaEquivalenteMensal(tAnual) {
+  return Math.pow(1 + tAnual, 1 / 12) - 1;
+}
+
+// Taxa nominal anual (capitalização mensal) correspondente à taxa mensal t.
+export function Converter_TaxaNominalAnual(t) {
+  return 12 * t;
+}
+
+// Taxa mensal efetiva de uma taxa nominal anual capitalizada mensalmente.
+export function Converter_TaxaNominalParaMensal(tNominal) {
+  return tNominal / 12;
+}
+
+// Taxa interna de uma tabela de qualquer sistema (com eventos, entrada ou
+// indexada): a taxa mensal que desconta cada prestação, mais adicional,
+// desde o seu mês até valorPresente. Retorna null se não houver taxa.
+export function Calcular_TaxaInterna(valorPresente, tabela, adicional = 0) {
+  const precisao = 0.000001;
+  var f = function (t) {
+    var soma = 0;
+    tabela.forEach(function (linha) {
+      soma += (linha.prestacao + adicional) / Math.pow(1 + t, linha.mes);
+    });
+    return soma - valorPresente;
+  };
+  // f é decrescente em t: procura um intervalo [a, b] com f(a) > 0 > f(b)
+  var a = -0.99;
+  var b = 1;
+  while (f(b) > 0 && b < 1e6) b *= 2;
+  if (!(f(a) > 0) || f(b) > 0) return null;
+  for (var iteracoes = 0; iteracoes < 1000; iteracoes++) {
+    var meio = (a + b) / 2;
+    var erro = f(meio);
+    if (Math.abs(erro) < precisao || (b - a) / 2 < precisao * 1e-3) return meio;
+    if (erro > 0) a = meio;
+    else b = meio;
+  }
+  return null;
+}
+
+// Custo Efetivo Total: taxa que iguala o valor efetivamente liberado ao
+// cliente (valor financiado menos IOF e TAC, pagos na contratação) às
+// prestações da tabela acrescidas do seguro mensal. iof é uma fração do
+// valor financiado; tac e seguro são valores em dinheiro.
+// Retorna { mensal, anual } ou null se a taxa não puder ser calculada.
+export function Calcular_CET(valorFinanciado, tabela, custos) {
+  var { iof = 0, tac = 0, seguro = 0 } = custos;
+  var valorLiberado = valorFinanciado - valorFinanciado * iof - tac;
+  var mensal = Calcular_TaxaInterna(valorLiberado, tabela, seguro);
+  if (mensal === null) return null;
+  return { mensal, anual: Converter_TaxaEfetivaAnual(mensal) };
+}
+
+export function Calcular_ValorCorrigido(valorPago, t, p) {
+  var valorCorrigido = valorPago / Math.pow(1 + t, p);
+  return valorCorrigido;
+}
+
+// Quitação antecipada lida da tabela gerada (Price, SAC, SACRE, com eventos ou indexada):
+// quitar as últimas mesesVoltar linhas custa o saldo devedor da linha anterior a elas.
+// Com mesesVoltar zero, quita tantas linhas quanto valorVoltar cobrir. A entrada (mês 0)
+// não volta; saldoInicial é o saldo antes da primeira linha.
+export function Calcular_Quitacao(tabela, saldoInicial, mesesVoltar, valorVoltar) {
+  var saldoAntes = function (meses) {
+    var indice = tabela.length - 1 - meses;
+    return indice >= 0 ? tabela[indice].saldoDevedor : saldoInicial;
+  };
+  var prestacoes = tabela.filter((linha) => linha.mes > 0).length;
+  if (mesesVoltar == 0 && valorVoltar > 0) {
+    while (mesesVoltar < prestacoes && saldoAntes(mesesVoltar + 1) <= valorVoltar) {
+      mesesVoltar++;
+    }
+  }
+  mesesVoltar = Math.min(Math.floor(mesesVoltar), prestacoes);
+  if (mesesVoltar == 0) {
+    return { mesesVoltar: 0, valorVoltar: 0, jurosEconomizados: 0, mesQuitacao: null };
+  }
+  var indice = tabela.length - 1 - mesesVoltar;
+  valorVoltar = saldoAntes(mesesVoltar);
+  return {
+    mesesVoltar,
+    valorVoltar,
+    jurosEconomizados: Calcular_Totais(tabela.slice(indice + 1)).prestacao - valorVoltar,
+    mesQuitacao: indice >= 0 ? tabela[indice].mes : 0,
+  };
+}
+
+// Número de prestações que, à taxa t, fazem a soma das prestações ser valorPago.
+// A soma p * prestação cresce com p, então a bisseção sobre p converge.
+export function Calcular_Parcelamento(valorFinanciado, t, valorPago, entrada = false) {
+  if (t == 0) return null; // sem juros, o valor final não depende do parcelamento
+  var f = function (p) {
+    return Calcular_ValorPago(valorFinanciado, t, p, entrada) - valorPago;
+  };
+  var a = 1;
+  var b = 72000; // limite do campo "Parcelamento"
+  if (f(a) > 0 || f(b) < 0) return null; // nenhum parcelamento resulta no valor final informado
+  for (var iteracoes = 0; iteracoes < 1000 && b - a > 0.000001; iteracoes++) {
+    var meio = (a + b) / 2;
+    if (f(meio) > 0) b = meio;
+    else a = meio;
+  }
+  return Math.round((a + b) / 2);
+}
+
+// Valor financiado (valor presente) de p prestações que somam valorPago.
+export function Calcular_ValorFinanciado(valorPago, t, p, entrada = false) {
+  var prestacao = valorPago / p;
+  return prestacao * Calcular_FatorValorPresente(t, p, entrada);
+}
+
+// Sistema Price (francês): prestação constante, juros decrescentes.
+export function Gerar_TabelaPrice(valorFinanciado, t, p) {
+  var prestacao = Calcular_PrestacaoMensal(valorFinanciado, t, p);
+  var saldoDevedor = valorFinanciado;
+  var tabela = [];
+  for (var i = 1; i <= p; i++) {
+    var juros = saldoDevedor * t;
+    var amortizacao = prestacao - juros;
+    saldoDevedor -= amortizacao;
+    // resíduo de arredondamento: evita exibir "-R$ 0,00" no último mês
+    if (Math.abs(saldoDevedor) < 0.005) saldoDevedor = 0;
+    tabela.push({ mes: i, prestacao, juros, amortizacao, saldoDevedor });
+  }
+  return tabela;
+}
+
+// Prestações necessárias para quitar saldoDevedor pagando prestacao por mês.
+function Calcular_PrazoRestante(saldoDevedor, t, prestacao) {
+  if (t == 0) return Math.ceil(saldoDevedor / prestacao);
+  return Math.ceil(-Math.log(1 - (saldoDevedor * t) / prestacao) / Math.log(1 + t) - 1e-9);
+}
+
+// Amortização extra de um evento no mês, ou 0 se ele não ocorre nesse mês.
+// Eventos com recorrencia > 0 se repetem a cada recorrencia meses.
+function Valor_Extra(evento, mes) {
+  if (evento.tipo !== "extra" || mes < evento.mes) return 0;
+  if (mes === evento.mes) return evento.valor;
+  return evento.recorrencia > 0 && (mes - evento.mes) % evento.recorrencia === 0 ? evento.valor : 0;
+}
+
+// Tabela Price com eventos:
+//  - { tipo: "extra", mes, valor, recorrencia, reduzir: "prazo" | "prestacao" }
+//    amortização extra paga junto com a prestação do mês, uma vez ou a cada
+//    recorrencia meses, que reduz o prazo (mantendo a prestação) ou a
+//    prestação (mantendo o prazo);
+//  - { tipo: "carencia", mes, meses }: meses sem pagamento a partir de mes,
+//    com os juros incorporados ao saldo; depois a prestação é recalculada
+//    para os meses que faltavam.
+// A prestação e a amortização de cada linha já incluem o valor extra, que
+// também fica em "extra"; linhas de carência têm "carencia: true".
+export function Gerar_TabelaPriceComEventos(valorFinanciado, t, p, eventos = []) {
+  const precisao = 0.000001;
+  var carencias = eventos.filter((evento) => evento.tipo === "carencia");
+  var emCarencia = (mes) => carencias.some((c) => mes >= c.mes && mes < c.mes + c.meses);
+  var mesesCarencia = carencias.reduce((total, c) => total + c.meses, 0);
+
+  var saldoDevedor = valorFinanciado;
+  var prestacao = Calcular_PrestacaoMensal(valorFinanciado, t, p);
+  var restantes = p; // prestações que faltam pagar
+  var recalcular = false;
+  var tabela = [];
+
+  for (var mes = 1; saldoDevedor > precisao && mes <= p + mesesCarencia; mes++) {
+    var juros = saldoDevedor * t;
+
+    if (emCarencia(mes)) {
+      saldoDevedor += juros;
+      tabela.push({ mes, prestacao: 0, juros, amortizacao: -juros, saldoDevedor, extra: 0, carencia: true });
+      recalcular = true;
+      continue;
+    }
+    if (recalcular) {
+      prestacao = Calcular_PrestacaoMensal(saldoDevedor, t, restantes);
+      recalcular = false;
+    }
+
+    var amortizacao = Math.min(prestacao - juros, saldoDevedor);
+    saldoDevedor -= amortizacao;
+    restantes--;
+
+    var extra = 0;
+    eventos.forEach(function (evento) {
+      var valor = Math.min(Valor_Extra(evento, mes), saldoDevedor);
+      if (valor <= 0) return;
+      extra += valor;
+      saldoDevedor -= valor;
+      if (saldoDevedor <= precisao) return;
+      if (evento.reduzir === "prestacao") {
+        prestacao = Calcular_PrestacaoMensal(saldoDevedor, t, restantes);
+      } else {
+        restantes = Calcular_PrazoRestante(saldoDevedor, t, prestacao);
+      }
+    });
+
+    tabela.push({
+      mes,
+      prestacao: juros + amortizacao + extra,
+      juros,
+      amortizacao: amortizacao + extra,
+      saldoDevedor: Math.max(saldoDevedor, 0),
+      extra,
+    });
+  }
+  return tabela;
+}
+
+// Sistema de Amortização Constante: amortização fixa, prestação decrescente.
+export function Gerar_TabelaSAC(valorFinanciado, t, p) {
+  var amortizacao = valorFinanciado / p;
+  var saldoDevedor = valorFinanciado;
+  var tabela = [];
+  for (var i = 1; i <= p; i++) {
+    var juros = saldoDevedor * t;
+    saldoDevedor -= amortizacao;
+    tabela.push({ mes: i, prestacao: amortizacao + juros, juros, amortizacao, saldoDevedor });
+  }
+  return tabela;
+}
+
+// Sistema de Amortização Crescente: a prestação é recalculada a cada
+// "periodo" meses como no SAC (saldo / meses restantes + juros) e fica
+// constante até o próximo recálculo, o que faz a amortização crescer.
+export function Gerar_TabelaSACRE(valorFinanciado, t, p, periodo = 12) {
+  var saldoDevedor = valorFinanciado;
+  var prestacao = 0;
+  var tabela = [];
+  for (var i = 1; i <= p; i++) {
+    if ((i - 1) % periodo == 0) {
+      prestacao = saldoDevedor / (p - i + 1) + saldoDevedor * t;
+    }
+    var juros = saldoDevedor * t;
+    var amortizacao = Math.min(prestacao - juros, saldoDevedor);
+    if (i == p) amortizacao = saldoDevedor; // a última prestação quita o saldo
+    saldoDevedor -= amortizacao;
+    tabela.push({ mes: i, prestacao: juros + amortizacao, juros, amortizacao, saldoDevedor });
+  }
+  return tabela;
+}
+
+// "entrada" dá o valor pago no ato quando a primeira prestação é antecipada.
+export const sistemasAmortizacao = {
+  price: {
+    nome: "Tabela Price",
+    gerar: Gerar_TabelaPrice,
+    entrada: (valorFinanciado, t, p) => Calcular_PrestacaoMensal(valorFinanciado, t, p, true),
+  },
+  sac: { nome: "Tabela SAC", gerar: Gerar_TabelaSAC, entrada: (valorFinanciado, t, p) => valorFinanciado / p },
+  sacre: { nome: "Tabela SACRE", gerar: Gerar_TabelaSACRE, entrada: (valorFinanciado, t, p) => valorFinanciado / p },
+};
+
+// Linha do mês 0 de uma série antecipada: a entrada, paga no ato e sem juros.
+export function Gerar_LinhaEntrada(valorFinanciado, entrada) {
+  return { mes: 0, prestacao: entrada, juros: 0, amortizacao: entrada, saldoDevedor: valorFinanciado - entrada };
+}
+
+// Tabela de um sistema com entrada: o mês 0 traz a entrada e o saldo
+// restante é amortizado pelo mesmo sistema nos p - 1 meses seguintes.
+export function Gerar_TabelaComEntrada(chaveSistema, valorFinanciado, t, p) {
+  var sistema = sistemasAmortizacao[chaveSistema];
+  var linha = Gerar_LinhaEntrada(valorFinanciado, sistema.entrada(valorFinanciado, t, p));
+  return [linha].concat(sistema.gerar(linha.saldoDevedor, t, p - 1));
+}
+
+// Tabela de um sistema, com ou sem entrada.
+export function Gerar_TabelaSistema(chaveSistema, valorFinanciado, t, p, entrada = false) {
+  if (entrada) return Gerar_TabelaComEntrada(chaveSistema, valorFinanciado, t, p);
+  return sistemasAmortizacao[chaveSistema].gerar(valorFinanciado, t, p);
+}
+
+// Soma prestações, juros e amortizações de uma tabela.
+export function Calcular_Totais(tabela) {
+  return tabela.reduce(
+    function (total, linha) {
+      total.prestacao += linha.prestacao;
+      total.juros += linha.juros;
+      total.amortizacao += linha.amortizacao;
+      return total;
+    },
+    { prestacao: 0, juros: 0, amortizacao: 0 }
+  );
+}
+
+// Resolve a incógnita ("parc", "itax" ou "ipv") para que a tabela do sistema
+// some valorPago em prestações. A Price tem fórmulas próprias; no SAC e no
+// SACRE a soma cresce com o prazo e com a taxa e é proporcional ao valor
+// financiado. O prazo é o inteiro mais próximo, pois só há tabelas de prazos
+// inteiros. Retorna null se não houver solução.
+export function Resolver_Incognita(chaveSistema, incognita, { valorFinanciado, t, p, valorPago }, entrada = false) {
+  if (chaveSistema === "price") {
+    if (incognita === "parc") return Calcular_Parcelamento(valorFinanciado, t, valorPago, entrada);
+    if (incognita === "itax") return Calcular_TaxaReal_MetodoNewton(valorFinanciado, p, valorPago, entrada);
+    return Calcular_ValorFinanciado(valorPago, t, p, entrada);
+  }
+  var soma = function (valor, taxa, prazo) {
+    return Calcular_Totais(Gerar_TabelaSistema(chaveSistema, valor, taxa, prazo, entrada)).prestacao;
+  };
+  if (incognita === "ipv") return valorPago / soma(1, t, p);
+
+  if (incognita === "itax") {
+    // sem juros a soma é o próprio valor financiado
+    if (!(valorPago > valorFinanciado)) return null;
+    var a = 0;
+    var b = 1;
+    while (soma(valorFinanciado, b, p) < valorPago) {
+      b *= 2;
+      if (b > 1e6) return null;
+    }
+    for (var iteracoes = 0; iteracoes < 1000 && b - a > 1e-10; iteracoes++) {
+      var meio = (a + b) / 2;
+      if (soma(valorFinanciado, meio, p) < valorPago) a = meio;
+      else b = meio;
+    }
+    return (a + b) / 2;
+  }
+
+  if (t == 0) return null; // sem juros, o valor final não depende do parcelamento
+  var diferenca = (prazo) => soma(valorFinanciado, t, prazo) - valorPago;
+  var menor = 1;
+  var maior = 72000; // limite do campo "Parcelamento"
+  if (diferenca(menor) > 0 || diferenca(maior) < 0) return null;
+  while (maior - menor > 1) {
+    var prazo = Math.floor((menor + maior) / 2);
+    if (diferenca(prazo) < 0) menor = prazo;
+    else maior = prazo;
+  }
+  return Math.abs(diferenca(menor)) <= Math.abs(diferenca(maior)) ? menor : maior;
+}
+
+// Mês seguinte a "AAAA-MM".
+function Proximo_Mes(mes) {
+  var [ano, m] = mes.split("-").map(Number);
+  return m == 12 ? `${ano + 1}-01` : `${ano}-${String(m + 1).padStart(2, "0")}`;
+}
+
+// Série de p índices mensais (em fração) a partir do mês "inicio" ("AAAA-MM").
+// "serie" traz as variações publicadas em % ao mês, por mês. Os meses ainda não
+// publicados são projetados pela média dos últimos 12 meses da série.
+// Retorna null se o mês inicial for anterior ao começo da série.
+export function Extrair_SerieIndice(serie, inicio, p) {
+  var meses = Object.keys(serie).sort();
+  if (meses.length == 0 || !/^\d{4}-\d{2}$/.test(inicio) || inicio < meses[0]) return null;
+
+  var ultimos = meses.slice(-12);
+  var projecao = ultimos.reduce((soma, mes) => soma + serie[mes], 0) / ultimos.length / 100;
+  var taxas = [];
+  var projetados = 0;
+  for (var i = 0, mes = inicio; i < p; i++, mes = Proximo_Mes(mes)) {
+    if (mes in serie) {
+      taxas.push(serie[mes] / 100);
+    } else {
+      taxas.push(projecao);
+      projetados++;
+    }
+  }
+  return { taxas, projetados };
+}
+
+// Tabela Price ou SAC com o saldo devedor corrigido por um índice (IPCA, TR...)
+// antes do cálculo dos juros de cada mês. "indices" traz a variação de cada mês
+// em fração. Cada linha também traz a correção monetária do mês e o fator
+// acumulado do índice, que deflaciona os valores para a data do contrato.
+export function Gerar_TabelaIndexada(valorFinanciado, t, p, indices, sistema = "price") {
+  var saldoDevedor = valorFinanciado;
+  var fator = 1;
+  var tabela = [];
+  for (var mes = 1; mes <= p; mes++) {
+    var correcao = saldoDevedor * indices[mes - 1];
+    saldoDevedor += correcao;
+    fator *= 1 + indices[mes - 1];
+    var juros = saldoDevedor * t;
+    var restante = p - mes + 1;
+    var amortizacao, prestacao;
+    if (sistema == "sac") {
+      amortizacao = saldoDevedor / restante;
+      prestacao = amortizacao + juros;
+    } else {
+      prestacao = Calcular_PrestacaoMensal(saldoDevedor, t, restante);
+      amortizacao = prestacao - juros;
+    }
+    saldoDevedor = mes == p ? 0 : saldoDevedor - amortizacao;
+    tabela.push({ mes, prestacao, juros, amortizacao, saldoDevedor, correcao, fator });
+  }
+  return tabela;
+}
+
+// Resumo de uma oferta de financiamento no sistema escolhido, com ou sem
+// entrada; a prestação é a primeira, que no SAC e no SACRE é a maior.
+export function Resumir_Oferta(valorFinanciado, t, p, chaveSistema = "price", entrada = false) {
+  var tabela = Gerar_TabelaSistema(chaveSistema, valorFinanciado, t, p, entrada);
+  var valorPago = Calcular_Totais(tabela).prestacao;
+  return {
+    prestacao: tabela[0].prestacao,
+    valorPago,
+    juros: valorPago - valorFinanciado,
+    valorCorrigido: Calcular_ValorCorrigido(valorPago, t, p),
+  };
+}
+
+// Matriz de sensibilidade: uma linha por taxa e uma coluna por prazo,
+// cada célula com o resumo da oferta correspondente no sistema escolhido.
+export function Gerar_MatrizSensibilidade(valorFinanciado, taxas, prazos, chaveSistema = "price", entrada = false) {
+  return taxas.map(function (t) {
+    return prazos.map(function (p) {
+      return Resumir_Oferta(valorFinanciado, t, p, chaveSistema, entrada);
+    });
+  });
+}
@@ -0,0 +1,556 @@
+// Catálogo de mensagens (português, inglês e espanhol) e formatação de
+// valores monetários, percentuais e números com Intl.NumberFormat.
+// Os textos fixos da página são marcados com data-msg="chave" no HTML.
+
+export const mensagens = {
+  pt: {
+    titulo_pagina: "CDC",
+    titulo_formulario: "Crédito Direto ao Consumidor",
+    rotulo_parc: "Parcelamento:",
+    unidade_meses: "meses",
+    rotulo_itax: "Taxa de juros:",
+    unidade_taxa: "% mês",
+    rotulo_ipv: "Valor Financiado:",
+    rotulo_ipp: "Valor Final (opcional):",
+    rotulo_ipb: "Valor a Voltar(opcional):",
+    rotulo_iiof: "IOF (opcional):",
+    unidade_iof: "% do valor",
+    rotulo_itac: "TAC (opcional):",
+    rotulo_iseg: "Seguro mensal (opcional):",
+    rotulo_idp: "Entrada?",
+    rotulo_mav: "Meses a voltar (opcional):",
+    rotulo_isis: "Sistema de amortização:",
+    rotulo_idioma: "Idioma:",
+    rotulo_moeda: "Moeda:",
+    botao_calcular: "Calcular",
+    arraste: "(arraste-me para reposicionar a janela)",
+    dica_incognita:
+      "Se não souber a taxa de juros coloque 0%, e forneça o valor final. " +
+      "Da mesma forma, deixe em 0 o parcelamento ou o valor financiado para calculá-los.",
+    nome_cenario: "Nome do cenário",
+    cenarios_salvos: "Cenários salvos",
+    botao_salvar: "Salvar",
+    botao_carregar: "Carregar",
+    botao_excluir: "Excluir",
+    botao_copiar_link: "Copiar link",
+    botao_exportar_csv: "Exportar CSV",
+    botao_exportar_excel: "Exportar Excel",
+    botao_imprimir: "Imprimir",
+    demonstrativo: "Demonstrativo de financiamento",
+    local_data: "Local e data: ______________________________",
+    contratante: "Contratante",
+    financiadora: "Financiadora",
+
+    resultado: "Resultado",
+    parcelamento: "Parcelamento:",
+    taxa: "Taxa:",
+    valor_financiado: "Valor Financiado:",
+    valor_final: "Valor Final:",
+    valor_voltar: "Valor a Voltar:",
+    entrada: "Entrada:",
+    sim: "Sim",
+    nao: "Não",
+    meses_voltar: "Meses a voltar:",
+    juros_economizados: "Juros Economizados:",
+    prestacao: "Prestação:",
+    prestacao_inicial: "Primeira Prestação:",
+    coeficiente: "Coeficiente de Financiamento:",
+    taxa_nominal: "Taxa Nominal:",
+    taxa_nominal_valor: "{valor} ao ano, capitalizada mensalmente",
+    custos: "IOF + TAC + Seguro:",
+    cet: "CET (Custo Efetivo Total):",
+    valor_pago: "Valor Pago:",
+    taxa_real: "Taxa Real:",
+    valor_corrigido: "Valor Corrigido:",
+    nao_convergiu: "não convergiu",
+    ao_mes: "{valor} ao mês",
+    taxa_mensal_anual: "{mensal} ao mês = {anual} ao ano",
+
+    mes: "Mês",
+    coluna_prestacao: "Prestação",
+    coluna_juros: "Juros",
+    coluna_amortizacao: "Amortização",
+    coluna_saldo: "Saldo Devedor",
+    total: "Total",
+    quitacao_antecipada: "Quitação antecipada: {valor}",
+    comparacao: "Comparação dos Sistemas",
+    sistema: "Sistema",
+    primeira_prestacao: "Primeira Prestação",
+    ultima_prestacao: "Última Prestação",
+    juros_total: "Juros Total",
+    coluna_valor_pago: "Valor Pago",
+    sistema_price: "Tabela Price",
+    sistema_sac: "Tabela SAC",
+    sistema_sacre: "Tabela SACRE",
+    secao_resumo: "Resumo",
+    secao_tabela: "Tabela",
+
+    titulo_ofertas: "Comparação de ofertas",
+    botao_comparar: "Comparar cenários salvos",
+    simulacao_atual: "Simulação atual",
+    oferta: "Oferta",
+    coluna_sistema: "Sistema",
+    sistema_com_entrada: "{sistema} com entrada",
+    coluna_valor_corrigido: "Valor Corrigido",
+    grafico_saldo: "Saldo devedor de cada oferta ao longo dos meses",
+    rotulo_taxas: "Taxas (% ao mês):",
+    rotulo_prazos: "Prazos (meses):",
+    botao_matriz: "Gerar matriz",
+    taxa_prazo: "Taxa \\ Prazo",
+    matriz_prestacoes: "Prestações ({sistema})",
+    matriz_juros: "Juros Totais ({sistema})",
+    sem_ofertas: "Nenhuma oferta com taxa, prazo e valor financiado para comparar.",
+    erro_lista: "Informe taxas e prazos positivos separados por espaço ou ponto e vírgula, e um valor financiado.",
+
+    titulo_eventos: "Amortizações extras e carências (Tabela Price)",
+    rotulo_iextValor: "Amortização extra:",
+    rotulo_iextMes: "No mês:",
+    rotulo_iextRec: "Repetir a cada (meses, 0 = uma vez):",
+    rotulo_iextRed: "Reduzir:",
+    reduzir_prazo: "prazo",
+    reduzir_prestacao: "prestação",
+    botao_adicionar_extra: "Adicionar extra",
+    rotulo_icarMes: "Carência a partir do mês:",
+    rotulo_icarMeses: "Meses de carência:",
+    botao_adicionar_carencia: "Adicionar carência",
+    remover_evento: "Remover evento",
+    evento_extra: "{valor} no mês {mes} (reduzir {reduzir})",
+    evento_extra_recorrente: "{valor} a partir do mês {mes}, a cada {recorrencia} meses (reduzir {reduzir})",
+    evento_carencia: "Carência de {meses} meses a partir do mês {mes}",
+    linha_extra: "Amortização extra: {valor}",
+    linha_carencia: "Carência: juros incorporados ao saldo devedor",
+    linha_entrada: "Entrada: primeira prestação, paga no ato e sem juros",
+    resumo_eventos:
+      "Sem os eventos: {prazoOriginal} meses e {jurosOriginais} de juros. " +
+      "Com os eventos: {prazo} meses e {juros} de juros. Economia: {economia}.",
+    erro_evento_extra: "A amortização extra precisa de um valor positivo, um mês a partir de 1 e uma repetição inteira.",
+    erro_evento_carencia: "A carência precisa de um mês inicial e de uma duração de pelo menos 1 mês.",
+
+    rotulo_iind: "Correção do saldo:",
+    indice_nenhum: "nenhuma",
+    rotulo_iinicio: "a partir de",
+    coluna_correcao: "Correção",
+    coluna_prestacao_real: "Prestação real",
+    resumo_indice:
+      "Saldo corrigido pelo {indice} a partir de {inicio}. Total pago: {nominal} em valores nominais, " +
+      "{real} em valores da data do contrato. Correção monetária: {correcao}.",
+    resumo_projecao: "Os últimos {meses} meses usam a média dos 12 meses mais recentes da série.",
+    erro_indice: "A série do {indice} não está disponível para o mês inicial escolhido.",
+    erro_indice_sistema: "A correção por índice vale só para as tabelas Price e SAC.",
+    erro_indice_eventos: "Remova as amortizações extras e carências para simular com correção por índice.",
+    erro_eventos_sistema: "Amortizações extras e carências só podem ser simuladas na Tabela Price.",
+
+    campo_parc: "Parcelamento",
+    campo_itax: "Taxa de juros",
+    campo_ipv: "Valor financiado",
+    campo_ipp: "Valor final",
+    campo_ipb: "Valor a voltar",
+    campo_mav: "Meses a voltar",
+    campo_iiof: "IOF",
+    campo_itac: "TAC",
+    campo_iseg: "Seguro mensal",
+    erro_numero: "{campo} deve ser um número.",
+    erro_minimo: "{campo} não pode ser menor que {limite}.",
+    erro_maximo: "{campo} não pode ser maior que {limite}.",
+    erro_inteiro: "{campo} deve ser um número inteiro.",
+    erro_taxa_valor_final: "Taxa de juros e valor final não podem ser ambos nulos.",
+    erro_taxa_valor_financiado: "Taxa de juros e valor financiado não podem ser ambos nulos.",
+    erro_financiado_final: "Valor financiado e valor final não podem ser ambos nulos.",
+    erro_um_campo: "Só é possível calcular um campo por vez.",
+    erro_meses_voltar: "Meses a voltar não pode ser maior que o parcelamento.",
+    erro_convergencia: "Não foi possível calcular {incognita}: o método não convergiu.",
+    erro_nome_cenario: "Dê um nome ao cenário para salvá-lo.",
+    copie_link: "Copie o link da simulação:",
+  },
+
+  en: {
+    titulo_pagina: "Consumer Credit",
+    titulo_formulario: "Direct Consumer Credit",
+    rotulo_parc: "Installments:",
+    unidade_meses: "months",
+    rotulo_itax: "Interest rate:",
+    unidade_taxa: "% month",
+    rotulo_ipv: "Financed amount:",
+    rotulo_ipp: "Final value (optional):",
+    rotulo_ipb: "Payoff value (optional):",
+    rotulo_iiof: "IOF tax (optional):",
+    unidade_iof: "% of amount",
+    rotulo_itac: "Registration fee (optional):",
+    rotulo_iseg: "Monthly insurance (optional):",
+    rotulo_idp: "Down payment?",
+    rotulo_mav: "Months to pay off (optional):",
+    rotulo_isis: "Amortization system:",
+    rotulo_idioma: "Language:",
+    rotulo_moeda: "Currency:",
+    botao_calcular: "Calculate",
+    arraste: "(drag me to move the window)",
+    dica_incognita:
+      "If you do not know the interest rate, enter 0% and provide the final value. " +
+      "Likewise, leave the installments or the financed amount at 0 to have them calculated.",
+    nome_cenario: "Scenario name",
+    cenarios_salvos: "Saved scenarios",
+    botao_salvar: "Save",
+    botao_carregar: "Load",
+    botao_excluir: "Delete",
+    botao_copiar_link: "Copy link",
+    botao_exportar_csv: "Export CSV",
+    botao_exportar_excel: "Export Excel",
+    botao_imprimir: "Print",
+    demonstrativo: "Financing statement",
+    local_data: "Place and date: ______________________________",
+    contratante: "Borrower",
+    financiadora: "Lender",
+
+    resultado: "Result",
+    parcelamento: "Installments:",
+    taxa: "Rate:",
+    valor_financiado: "Financed Amount:",
+    valor_final: "Final Value:",
+    valor_voltar: "Payoff Value:",
+    entrada: "Down payment:",
+    sim: "Yes",
+    nao: "No",
+    meses_voltar: "Months to pay off:",
+    juros_economizados: "Interest Saved:",
+    prestacao: "Installment:",
+    prestacao_inicial: "First Installment:",
+    coeficiente: "Financing Coefficient:",
+    taxa_nominal: "Nominal Rate:",
+    taxa_nominal_valor: "{valor} per year, compounded monthly",
+    custos: "IOF + Fee + Insurance:",
+    cet: "Total Effective Cost (CET):",
+    valor_pago: "Amount Paid:",
+    taxa_real: "Real Rate:",
+    valor_corrigido: "Present Value:",
+    nao_convergiu: "did not converge",
+    ao_mes: "{valor} per month",
+    taxa_mensal_anual: "{mensal} per month = {anual} per year",
+
+    mes: "Month",
+    coluna_prestacao: "Installment",
+    coluna_juros: "Interest",
+    coluna_amortizacao: "Amortization",
+    coluna_saldo: "Balance",
+    total: "Total",
+    quitacao_antecipada: "Early payoff: {valor}",
+    comparacao: "Systems Comparison",
+    sistema: "System",
+    primeira_prestacao: "First Installment",
+    ultima_prestacao: "Last Installment",
+    juros_total: "Total Interest",
+    coluna_valor_pago: "Amount Paid",
+    sistema_price: "Price Table",
+    sistema_sac: "SAC Table",
+    sistema_sacre: "SACRE Table",
+    secao_resumo: "Summary",
+    secao_tabela: "Schedule",
+
+    titulo_ofertas: "Offer comparison",
+    botao_comparar: "Compare saved scenarios",
+    simulacao_atual: "Current simulation",
+    oferta: "Offer",
+    coluna_sistema: "System",
+    sistema_com_entrada: "{sistema} with down payment",
+    coluna_valor_corrigido: "Present Value",
+    grafico_saldo: "Outstanding balance of each offer over the months",
+    rotulo_taxas: "Rates (% per month):",
+    rotulo_prazos: "Terms (months):",
+    botao_matriz: "Build matrix",
+    taxa_prazo: "Rate \\ Term",
+    matriz_prestacoes: "Installments ({sistema})",
+    matriz_juros: "Total Interest ({sistema})",
+    sem_ofertas: "No offer with rate, term and financed amount to compare.",
+    erro_lista: "Enter positive rates and terms separated by spaces or semicolons, and a financed amount.",
+
+    titulo_eventos: "Extra payments and payment holidays (Price Table)",
+    rotulo_iextValor: "Extra payment:",
+    rotulo_iextMes: "In month:",
+    rotulo_iextRec: "Repeat every (months, 0 = once):",
+    rotulo_iextRed: "Reduce:",
+    reduzir_prazo: "term",
+    reduzir_prestacao: "installment",
+    botao_adicionar_extra: "Add extra payment",
+    rotulo_icarMes: "Holiday from month:",
+    rotulo_icarMeses: "Holiday months:",
+    botao_adicionar_carencia: "Add holiday",
+    remover_evento: "Remove event",
+    evento_extra: "{valor} in month {mes} (reduce {reduzir})",
+    evento_extra_recorrente: "{valor} from month {mes}, every {recorrencia} months (reduce {reduzir})",
+    evento_carencia: "{meses}-month holiday from month {mes}",
+    linha_extra: "Extra payment: {valor}",
+    linha_carencia: "Holiday: interest added to the balance",
+    linha_entrada: "Down payment: first installment, paid upfront with no interest",
+    resumo_eventos:
+      "Without the events: {prazoOriginal} months and {jurosOriginais} in interest. " +
+      "With the events: {prazo} months and {juros} in interest. Savings: {economia}.",
+    erro_evento_extra: "The extra payment needs a positive amount, a month from 1 on and a whole repeat interval.",
+    erro_evento_carencia: "The holiday needs a starting month and a length of at least 1 month.",
+
+    rotulo_iind: "Balance indexation:",
+    indice_nenhum: "none",
+    rotulo_iinicio: "starting",
+    coluna_correcao: "Indexation",
+    coluna_prestacao_real: "Real installment",
+    resumo_indice:
+      "Balance indexed to {indice} from {inicio}. Total paid: {nominal} in nominal terms, " +
+      "{real} at contract-date prices. Monetary correction: {correcao}.",
+    resumo_projecao: "The last {meses} months use the average of the 12 most recent months in the series.",
+    erro_indice: "The {indice} series is not available for the chosen starting month.",
+    erro_indice_sistema: "Indexation applies only to the Price and SAC tables.",
+    erro_indice_eventos: "Remove the extra payments and holidays to simulate with indexation.",
+    erro_eventos_sistema: "Extra payments and holidays can only be simulated with the Price Table.",
+
+    campo_parc: "Installments",
+    campo_itax: "Interest rate",
+    campo_ipv: "Financed amount",
+    campo_ipp: "Final value",
+    campo_ipb: "Payoff value",
+    campo_mav: "Months to pay off",
+    campo_iiof: "IOF tax",
+    campo_itac: "Registration fee",
+    campo_iseg: "Monthly insurance",
+    erro_numero: "{campo} must be a number.",
+    erro_minimo: "{campo} cannot be less than {limite}.",
+    erro_maximo: "{campo} cannot be greater than {limite}.",
+    erro_inteiro: "{campo} must be a whole number.",
+    erro_taxa_valor_final: "Interest rate and final value cannot both be zero.",
+    erro_taxa_valor_financiado: "Interest rate and financed amount cannot both be zero.",
+    erro_financiado_final: "Financed amount and final value cannot both be zero.",
+    erro_um_campo: "Only one field can be calculated at a time.",
+    erro_meses_voltar: "Months to pay off cannot exceed the installments.",
+    erro_convergencia: "Could not calculate {incognita}: the method did not converge.",
+    erro_nome_cenario: "Name the scenario to save it.",
+    copie_link: "Copy the simulation link:",
+  },
+
+  es: {
+    titulo_pagina: "Crédito al Consumo",
+    titulo_formulario: "Crédito Directo al Consumidor",
+    rotulo_parc: "Cuotas:",
+    unidade_meses: "meses",
+    rotulo_itax: "Tasa de interés:",
+    unidade_taxa: "% mes",
+    rotulo_ipv: "Monto financiado:",
+    rotulo_ipp: "Valor final (opcional):",
+    rotulo_ipb: "Valor a cancelar (opcional):",
+    rotulo_iiof: "IOF (opcional):",
+    unidade_iof: "% del monto",
+    rotulo_itac: "Comisión de apertura (opcional):",
+    rotulo_iseg: "Seguro mensual (opcional):",
+    rotulo_idp: "¿Entrada?",
+    rotulo_mav: "Meses a cancelar (opcional):",
+    rotulo_isis: "Sistema de amortización:",
+    rotulo_idioma: "Idioma:",
+    rotulo_moeda: "Moneda:",
+    botao_calcular: "Calcular",
+    arraste: "(arrástrame para mover la ventana)",
+    dica_incognita:
+      "Si no conoce la tasa de interés, ingrese 0% e informe el valor final. " +
+      "Del mismo modo, deje en 0 las cuotas o el monto financiado para calcularlos.",
+    nome_cenario: "Nombre del escenario",
+    cenarios_salvos: "Escenarios guardados",
+    botao_salvar: "Guardar",
+    botao_carregar: "Cargar",
+    botao_excluir: "Eliminar",
+    botao_copiar_link: "Copiar enlace",
+    botao_exportar_csv: "Exportar CSV",
+    botao_exportar_excel: "Exportar Excel",
+    botao_imprimir: "Imprimir",
+    demonstrativo: "Estado de financiamiento",
+    local_data: "Lugar y fecha: ______________________________",
+    contratante: "Contratante",
+    financiadora: "Financiadora",
+
+    resultado: "Resultado",
+    parcelamento: "Cuotas:",
+    taxa: "Tasa:",
+    valor_financiado: "Monto Financiado:",
+    valor_final: "Valor Final:",
+    valor_voltar: "Valor a Cancelar:",
+    entrada: "Entrada:",
+    sim: "Sí",
+    nao: "No",
+    meses_voltar: "Meses a cancelar:",
+    juros_economizados: "Intereses Ahorrados:",
+    prestacao: "Cuota:",
+    prestacao_inicial: "Primera Cuota:",
+    coeficiente: "Coeficiente de Financiamiento:",
+    taxa_nominal: "Tasa Nominal:",
+    taxa_nominal_valor: "{valor} al año, capitalizada mensualmente",
+    custos: "IOF + Comisión + Seguro:",
+    cet: "Costo Efectivo Total (CET):",
+    valor_pago: "Valor Pagado:",
+    taxa_real: "Tasa Real:",
+    valor_corrigido: "Valor Actualizado:",
+    nao_convergiu: "no convergió",
+    ao_mes: "{valor} al mes",
+    taxa_mensal_anual: "{mensal} al mes = {anual} al año",
+
+    mes: "Mes",
+    coluna_prestacao: "Cuota",
+    coluna_juros: "Intereses",
+    coluna_amortizacao: "Amortización",
+    coluna_saldo: "Saldo Deudor",
+    total: "Total",
+    quitacao_antecipada: "Cancelación anticipada: {valor}",
+    comparacao: "Comparación de Sistemas",
+    sistema: "Sistema",
+    primeira_prestacao: "Primera Cuota",
+    ultima_prestacao: "Última Cuota",
+    juros_total: "Intereses Totales",
+    coluna_valor_pago: "Valor Pagado",
+    sistema_price: "Tabla Price",
+    sistema_sac: "Tabla SAC",
+    sistema_sacre: "Tabla SACRE",
+    secao_resumo: "Resumen",
+    secao_tabela: "Tabla",
+
+    titulo_ofertas: "Comparación de ofertas",
+    botao_comparar: "Comparar escenarios guardados",
+    simulacao_atual: "Simulación actual",
+    oferta: "Oferta",
+    coluna_sistema: "Sistema",
+    sistema_com_entrada: "{sistema} con entrada",
+    coluna_valor_corrigido: "Valor Actualizado",
+    grafico_saldo: "Saldo deudor de cada oferta a lo largo de los meses",
+    rotulo_taxas: "Tasas (% al mes):",
+    rotulo_prazos: "Plazos (meses):",
+    botao_matriz: "Generar matriz",
+    taxa_prazo: "Tasa \\ Plazo",
+    matriz_prestacoes: "Cuotas ({sistema})",
+    matriz_juros: "Intereses Totales ({sistema})",
+    sem_ofertas: "Ninguna oferta con tasa, plazo y monto financiado para comparar.",
+    erro_lista: "Ingrese tasas y plazos positivos separados por espacio o punto y coma, y un monto financiado.",
+
+    titulo_eventos: "Amortizaciones extra y períodos de gracia (Tabla Price)",
+    rotulo_iextValor: "Amortización extra:",
+    rotulo_iextMes: "En el mes:",
+    rotulo_iextRec: "Repetir cada (meses, 0 = una vez):",
+    rotulo_iextRed: "Reducir:",
+    reduzir_prazo: "plazo",
+    reduzir_prestacao: "cuota",
+    botao_adicionar_extra: "Agregar extra",
+    rotulo_icarMes: "Gracia desde el mes:",
+    rotulo_icarMeses: "Meses de gracia:",
+    botao_adicionar_carencia: "Agregar gracia",
+    remover_evento: "Eliminar evento",
+    evento_extra: "{valor} en el mes {mes} (reducir {reduzir})",
+    evento_extra_recorrente: "{valor} desde el mes {mes}, cada {recorrencia} meses (reducir {reduzir})",
+    evento_carencia: "Gracia de {meses} meses desde el mes {mes}",
+    linha_extra: "Amortización extra: {valor}",
+    linha_carencia: "Gracia: intereses incorporados al saldo deudor",
+    linha_entrada: "Entrada: primera cuota, pagada al contado y sin intereses",
+    resumo_eventos:
+      "Sin los eventos: {prazoOriginal} meses y {jurosOriginais} de intereses. " +
+      "Con los eventos: {prazo} meses y {juros} de intereses. Ahorro: {economia}.",
+    erro_evento_extra: "La amortización extra necesita un valor positivo, un mes desde 1 y una repetición entera.",
+    erro_evento_carencia: "El período de gracia necesita un mes inicial y una duración de al menos 1 mes.",
+
+    rotulo_iind: "Corrección del saldo:",
+    indice_nenhum: "ninguna",
+    rotulo_iinicio: "desde",
+    coluna_correcao: "Corrección",
+    coluna_prestacao_real: "Cuota real",
+    resumo_indice:
+      "Saldo corregido por el {indice} desde {inicio}. Total pagado: {nominal} en valores nominales, " +
+      "{real} en valores de la fecha del contrato. Corrección monetaria: {correcao}.",
+    resumo_projecao: "Los últimos {meses} meses usan el promedio de los 12 meses más recientes de la serie.",
+    erro_indice: "La serie del {indice} no está disponible para el mes inicial elegido.",
+    erro_indice_sistema: "La corrección por índice vale solo para las tablas Price y SAC.",
+    erro_indice_eventos: "Elimine las amortizaciones extra y los períodos de gracia para simular con corrección por índice.",
+    erro_eventos_sistema: "Las amortizaciones extra y los períodos de gracia solo se pueden simular con la Tabla Price.",
+
+    campo_parc: "Cuotas",
+    campo_itax: "Tasa de interés",
+    campo_ipv: "Monto financiado",
+    campo_ipp: "Valor final",
+    campo_ipb: "Valor a cancelar",
+    campo_mav: "Meses a cancelar",
+    campo_iiof: "IOF",
+    campo_itac: "Comisión de apertura",
+    campo_iseg: "Seguro mensual",
+    erro_numero: "{campo} debe ser un número.",
+    erro_minimo: "{campo} no puede ser menor que {limite}.",
+    erro_maximo: "{campo} no puede ser mayor que {limite}.",
+    erro_inteiro: "{campo} debe ser un número entero.",
+    erro_taxa_valor_final: "La tasa de interés y el valor final no pueden ser ambos nulos.",
+    erro_taxa_valor_financiado: "La tasa de interés y el monto financiado no pueden ser ambos nulos.",
+    erro_financiado_final: "El monto financiado y el valor final no pueden ser ambos nulos.",
+    erro_um_campo: "Solo se puede calcular un campo a la vez.",
+    erro_meses_voltar: "Los meses a cancelar no pueden superar las cuotas.",
+    erro_convergencia: "No fue posible calcular {incognita}: el método no convergió.",
+    erro_nome_cenario: "Dé un nombre al escenario para guardarlo.",
+    copie_link: "Copie el enlace de la simulación:",
+  },
+};
+
+// Localidade e moeda em uso; mudam com Definir_Localidade.
+var localidade = "pt-BR";
+var moeda = "BRL";
+
+export function Definir_Localidade(novaLocalidade, novaMoeda) {
+  localidade = novaLocalidade;
+  moeda = novaMoeda;
+}
+
+export function Localidade_Atual() {
+  return { localidade, moeda };
+}
+
+// Texto da chave no idioma atual (ou em português, se faltar a tradução),
+// com os {parametros} substituídos.
+export function Traduzir(chave, parametros = {}) {
+  var catalogo = mensagens[localidade.split("-")[0]] || mensagens.pt;
+  var texto = catalogo[chave] ?? mensagens.pt[chave] ?? chave;
+  return texto.replace(/\{(\w+)\}/g, function (_, nome) {
+    return parametros[nome] ?? "";
+  });
+}
+
+export function Formatar_Moeda(valor) {
+  return new Intl.NumberFormat(localidade, { style: "currency", currency: moeda }).format(valor);
+}
+
+// Formata uma fração como percentual: Formatar_Percentual(0.0455) = "4,55%".
+export function Formatar_Percentual(fracao, casas = 2) {
+  return new Intl.NumberFormat(localidade, {
+    style: "percent",
+    minimumFractionDigits: casas,
+    maximumFractionDigits: casas,
+  }).format(fracao);
+}
+
+export function Formatar_Numero(valor, casas = 2) {
+  return new Intl.NumberFormat(localidade, {
+    minimumFractionDigits: casas,
+    maximumFractionDigits: casas,
+  }).format(valor);
+}
+
+// Símbolo da moeda atual, como "R$" ou "US$".
+export function Simbolo_Moeda() {
+  var partes = new Intl.NumberFormat(localidade, { style: "currency", currency: moeda }).formatToParts(0);
+  return partes.find((parte) => parte.type === "currency").value;
+}
+
+// Traduz os elementos marcados na página: data-msg troca o texto,
+// data-msg-value o valor de botões e data-msg-placeholder o placeholder.
+export function Traduzir_Pagina() {
+  document.documentElement.lang = localidade;
+  document.title = Traduzir("titulo_pagina");
+  document.querySelectorAll("[data-msg]").forEach(function (elemento) {
+    elemento.textContent = Traduzir(elemento.dataset.msg);
+  });
+  document.querySelectorAll("[data-msg-value]").forEach(function (elemento) {
+    elemento.value = Traduzir(elemento.dataset.msgValue);
+  });
+  document.querySelectorAll("[data-msg-placeholder]").forEach(function (elemento) {
+    elemento.placeholder = Traduzir(elemento.dataset.msgPlaceholder);
+  });
+  document.querySelectorAll("[data-msg-label]").forEach(function (elemento) {
+    elemento.setAttribute("aria-label", Traduzir(elemento.dataset.msgLabel));
+  });
+  document.querySelectorAll(".input-group-addon").forEach(function (elemento) {
+    elemento.textContent = Simbolo_Moeda();
+  });
+}
@@ -0,0 +1,132 @@
+// Camada de apresentação das tabelas: monta tabelas acessíveis a partir de
+// dados, com legenda em <caption>, cabeçalhos com scope e colunas ordenáveis.
+// Não depende da calculadora, então outras páginas também podem usá-la.
+
+// Cria uma <table> a partir de:
+//  legenda: texto do <caption>;
+//  colunas: [{ chave, titulo, formatar(valor, linha), decorar(celula, linha) }],
+//    em que a primeira coluna identifica cada linha e vira <th scope="row">;
+//  linhas: um objeto por linha, com os valores nas chaves das colunas;
+//  rodape: linha de totais opcional, no mesmo formato, dentro de <tfoot>;
+//  atributos(linha): { classe, titulo } opcionais de cada <tr>;
+//  cabecalho: se mostra o <thead> com os títulos das colunas;
+//  ordenavel: se os títulos ordenam a tabela ao serem clicados.
+// Valores numéricos também vão em data-valor, usado na ordenação e na exportação.
+export function Criar_Tabela({
+  legenda,
+  colunas,
+  linhas,
+  rodape = null,
+  atributos = () => ({}),
+  cabecalho = true,
+  ordenavel = false,
+}) {
+  var tabela = document.createElement("table");
+  tabela.className = "tabela";
+  if (legenda) {
+    var caption = document.createElement("caption");
+    caption.textContent = legenda;
+    tabela.appendChild(caption);
+  }
+
+  if (cabecalho) {
+    var thead = document.createElement("thead");
+    thead.className = "nomes_colunas";
+    var titulos = document.createElement("tr");
+    colunas.forEach(function (coluna) {
+      var th = document.createElement("th");
+      th.scope = "col";
+      th.textContent = coluna.titulo;
+      titulos.appendChild(th);
+    });
+    thead.appendChild(titulos);
+    tabela.appendChild(thead);
+  }
+
+  var tbody = document.createElement("tbody");
+  linhas.forEach(function (linha) {
+    tbody.appendChild(Criar_Linha(colunas, linha, atributos(linha)));
+  });
+  tabela.appendChild(tbody);
+
+  if (rodape) {
+    var tfoot = document.createElement("tfoot");
+    tfoot.appendChild(Criar_Linha(colunas, rodape, {}));
+    tabela.appendChild(tfoot);
+  }
+
+  if (cabecalho && ordenavel) Tornar_Ordenavel(tabela);
+  return tabela;
+}
+
+// Uma linha da tabela: a primeira célula é o cabeçalho da linha.
+function Criar_Linha(colunas, linha, { classe, titulo }) {
+  var tr = document.createElement("tr");
+  if (classe) tr.className = classe;
+  if (titulo) tr.title = titulo;
+  colunas.forEach(function (coluna, i) {
+    var celula = document.createElement(i == 0 ? "th" : "td");
+    if (i == 0) celula.scope = "row";
+    var valor = linha[coluna.chave];
+    celula.textContent = coluna.formatar ? coluna.formatar(valor, linha) : String(valor);
+    if (typeof valor === "number") celula.dataset.valor = valor;
+    if (coluna.decorar) coluna.decorar(celula, linha);
+    tr.appendChild(celula);
+  });
+  return tr;
+}
+
+// Tabela de duas colunas, rótulo e valor, sem linha de títulos. Cada item é
+// { rotulo, texto, valor, casas }; valor é o número exportado, quando houver,
+// e casas suas casas decimais quando não for um valor em centavos.
+export function Criar_TabelaResumo(legenda, itens) {
+  var decorar = function (celula, item) {
+    if (item.casas !== undefined) celula.dataset.casas = item.casas;
+  };
+  return Criar_Tabela({
+    legenda,
+    cabecalho: false,
+    colunas: [{ chave: "rotulo" }, { chave: "valor", formatar: (valor, item) => item.texto, decorar }],
+    linhas: itens,
+  });
+}
+
+// Ordena as linhas do <tbody> pela coluna indice. Células com data-valor são
+// comparadas como números; as demais, como texto ("10" vem depois de "9").
+export function Ordenar_Tabela(tabela, indice, crescente = true) {
+  var tbody = tabela.tBodies[0];
+  var chave = function (linha) {
+    var celula = linha.cells[indice];
+    return celula.dataset.valor !== undefined ? Number(celula.dataset.valor) : celula.textContent.trim();
+  };
+  var linhas = Array.from(tbody.rows).sort(function (a, b) {
+    var x = chave(a);
+    var y = chave(b);
+    var ordem =
+      typeof x === "number" && typeof y === "number"
+        ? x - y
+        : String(x).localeCompare(String(y), undefined, { numeric: true });
+    return crescente ? ordem : -ordem;
+  });
+  linhas.forEach((linha) => tbody.appendChild(linha));
+}
+
+// Torna ordenáveis os títulos do <thead> de uma tabela, criada por Criar_Tabela
+// ou já escrita no HTML da página: cada título vira um botão que alterna entre
+// ordem crescente e decrescente, anunciada aos leitores de tela em aria-sort.
+export function Tornar_Ordenavel(tabela) {
+  var titulos = Array.from(tabela.tHead.rows[0].cells);
+  titulos.forEach(function (th, indice) {
+    var botao = document.createElement("button");
+    botao.type = "button";
+    botao.className = "ordenar";
+    botao.append(...th.childNodes);
+    th.appendChild(botao);
+    botao.onclick = function () {
+      var crescente = th.getAttribute("aria-sort") !== "ascending";
+      titulos.forEach((outro) => outro.removeAttribute("aria-sort"));
+      th.setAttribute("aria-sort", crescente ? "ascending" : "descending");
+      Ordenar_Tabela(tabela, indice, crescente);
+    };
+  });
+}
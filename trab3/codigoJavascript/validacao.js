@@ -0,0 +1,49 @@
+// Conversão e validação dos campos numéricos do formulário, usadas pela
+// calculadora e pelo painel de comparação de ofertas.
+
+import { Traduzir } from "./mensagens.js";
+
+// Campos do formulário: limites e se aceita só inteiros. O nome de cada
+// campo nas mensagens vem do catálogo (chave "campo_<id>").
+export const camposFormulario = {
+  parc: { min: 0, max: 72000, inteiro: true },
+  itax: { min: 0, max: 100 },
+  ipv: { min: 0 },
+  ipp: { min: 0 },
+  ipb: { min: 0 },
+  mav: { min: 0, inteiro: true },
+  iiof: { min: 0, max: 100 },
+  itac: { min: 0 },
+  iseg: { min: 0 },
+};
+
+// Converte o texto de um campo em número, aceitando vírgula decimal ("4,55").
+// Campos vazios ou inválidos resultam em NaN.
+export function Converter_Numero(texto) {
+  texto = String(texto).trim().replace(",", ".");
+  return texto === "" ? NaN : Number(texto);
+}
+
+// Converte e valida os campos ids de dados (textos por id, como os de
+// Ler_Formulario). Retorna os valores numéricos e a lista de erros, cada um
+// com os campos envolvidos e a mensagem.
+export function Validar_Campos(dados, ids = Object.keys(camposFormulario)) {
+  var valores = {};
+  var erros = [];
+  ids.forEach(function (id) {
+    const campo = camposFormulario[id];
+    const nome = Traduzir(`campo_${id}`);
+    const valor = Converter_Numero(dados[id] ?? "");
+    valores[id] = valor;
+    if (isNaN(valor)) {
+      erros.push({ campos: [id], mensagem: Traduzir("erro_numero", { campo: nome }) });
+    } else if (valor < campo.min) {
+      erros.push({ campos: [id], mensagem: Traduzir("erro_minimo", { campo: nome, limite: campo.min }) });
+    } else if (campo.max !== undefined && valor > campo.max) {
+      erros.push({ campos: [id], mensagem: Traduzir("erro_maximo", { campo: nome, limite: campo.max }) });
+    } else if (campo.inteiro && !Number.isInteger(valor)) {
+      erros.push({ campos: [id], mensagem: Traduzir("erro_inteiro", { campo: nome }) });
+    }
+  });
+  return { valores, erros };
+}
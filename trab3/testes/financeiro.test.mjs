@@ -0,0 +1,280 @@
+// Testes do núcleo financeiro. Para executar: node --test trab3/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  Calcular_PrestacaoMensal,
+  Calcular_CoeficienteFinanciamento,
+  Calcular_ValorPago,
+  Calcular_TaxaReal_MetodoNewton,
+  Calcular_TaxaReal_MetodoBissecao,
+  Calcular_ValorCorrigido,
+  Calcular_Quitacao,
+  Calcular_Parcelamento,
+  Calcular_ValorFinanciado,
+  Gerar_TabelaPrice,
+  Gerar_TabelaPriceComEventos,
+  Gerar_TabelaSAC,
+  Gerar_TabelaSACRE,
+  Calcular_Totais,
+  Converter_TaxaEfetivaAnual,
+  Converter_TaxaEquivalenteMensal,
+  Converter_TaxaNominalAnual,
+  Converter_TaxaNominalParaMensal,
+  Calcular_CET,
+  Resumir_Oferta,
+  Gerar_MatrizSensibilidade,
+  Extrair_SerieIndice,
+  Gerar_TabelaIndexada,
+  Gerar_TabelaComEntrada,
+  Resolver_Incognita,
+} from "../codigoJavascript/financeiro.mjs";
+
+// Compara valores monetários com precisão de centavos.
+function centavos(valor, esperado) {
+  assert.equal(valor.toFixed(2), esperado.toFixed(2));
+}
+
+// Tabela Price de referência: R$ 12.000,00 a 1% ao mês em 24 meses.
+const price = [
+  // mês, prestação, juros, amortização, saldo devedor
+  [1, 564.88, 120.0, 444.88, 11555.12],
+  [2, 564.88, 115.55, 449.33, 11105.79],
+  [3, 564.88, 111.06, 453.82, 10651.96],
+  [12, 564.88, 68.54, 496.34, 6357.79],
+  [24, 564.88, 5.59, 559.29, 0],
+];
+
+test("prestação e coeficiente de financiamento", () => {
+  centavos(Calcular_PrestacaoMensal(12000, 0.01, 24), 564.88);
+  centavos(Calcular_PrestacaoMensal(1000, 0.01, 12), 88.85);
+  centavos(Calcular_PrestacaoMensal(23000, 0.0455, 96), 1061.32);
+  assert.equal(Calcular_CoeficienteFinanciamento(0.01, 12).toFixed(6), "0.088849");
+  centavos(Calcular_PrestacaoMensal(1200, 0, 12), 100);
+});
+
+test("valor pago e valor corrigido", () => {
+  centavos(Calcular_ValorPago(12000, 0.01, 24), 13557.16);
+  centavos(Calcular_ValorCorrigido(1000, 0.01, 12), 887.45);
+});
+
+test("tabela Price confere com a tabela de referência", () => {
+  const tabela = Gerar_TabelaPrice(12000, 0.01, 24);
+  assert.equal(tabela.length, 24);
+  for (const [mes, prestacao, juros, amortizacao, saldoDevedor] of price) {
+    const linha = tabela[mes - 1];
+    assert.equal(linha.mes, mes);
+    centavos(linha.prestacao, prestacao);
+    centavos(linha.juros, juros);
+    centavos(linha.amortizacao, amortizacao);
+    centavos(linha.saldoDevedor, saldoDevedor);
+  }
+  assert.equal(tabela[23].saldoDevedor, 0);
+  const totais = Calcular_Totais(tabela);
+  centavos(totais.prestacao, 13557.16);
+  centavos(totais.juros, 1557.16);
+  centavos(totais.amortizacao, 12000);
+});
+
+test("tabelas SAC e SACRE", () => {
+  const sac = Gerar_TabelaSAC(12000, 0.01, 24);
+  centavos(sac[0].prestacao, 620);
+  centavos(sac[23].prestacao, 505);
+  centavos(Calcular_Totais(sac).juros, 1500);
+
+  const sacre = Gerar_TabelaSACRE(12000, 0.01, 24);
+  centavos(sacre[0].prestacao, 620);
+  centavos(sacre[11].prestacao, 620);
+  centavos(Math.abs(sacre[23].saldoDevedor), 0);
+  centavos(Calcular_Totais(sacre).amortizacao, 12000);
+});
+
+test("taxa real pelo método de Newton", () => {
+  const taxa = Calcular_TaxaReal_MetodoNewton(23000, 96, Calcular_ValorPago(23000, 0.0455, 96));
+  assert.equal(taxa.toFixed(6), "0.045500");
+  // com entrada a primeira prestação é paga no ato, e a taxa real é maior
+  const taxaEntrada = Calcular_TaxaReal_MetodoNewton(23000, 96, Calcular_ValorPago(23000, 0.0455, 96), true);
+  assert.ok(taxaEntrada > taxa);
+  assert.equal(Calcular_TaxaReal_MetodoNewton(0, 12, 1000), null);
+});
+
+test("bisseção encontra a mesma taxa que Newton", () => {
+  const taxa = Calcular_TaxaReal_MetodoBissecao(12000, 24, 564.8817, false);
+  assert.equal(taxa.toFixed(5), "0.01000");
+});
+
+test("métodos sem solução retornam null sem escrever no console", (t) => {
+  const error = t.mock.method(console, "error");
+  const warn = t.mock.method(console, "warn");
+  assert.equal(Calcular_TaxaReal_MetodoNewton(0, 24, 13557.16), null);
+  assert.equal(Calcular_TaxaReal_MetodoBissecao(12000, 24, 0, false), null);
+  assert.equal(Calcular_Parcelamento(12000, 0.01, 100), null);
+  assert.equal(error.mock.callCount() + warn.mock.callCount(), 0);
+});
+
+test("cálculo do parcelamento e do valor financiado", () => {
+  assert.equal(Calcular_Parcelamento(12000, 0.01, 13557.16), 24);
+  centavos(Calcular_ValorFinanciado(13557.16, 0.01, 24), 12000);
+  assert.equal(Calcular_Parcelamento(12000, 0, 12000), null);
+});
+
+test("incógnita resolvida pela soma das prestações do sistema", () => {
+  // SAC de R$ 12.000,00 a 1% em 24 meses soma R$ 13.500,00
+  const dados = { valorFinanciado: 12000, t: 0.01, p: 24, valorPago: 13500 };
+  assert.equal(Resolver_Incognita("sac", "itax", { ...dados, t: 0 }).toFixed(6), "0.010000");
+  assert.equal(Resolver_Incognita("sac", "parc", { ...dados, p: 0 }), 24);
+  centavos(Resolver_Incognita("sac", "ipv", { ...dados, valorFinanciado: 0 }), 12000);
+  const valorPago = Calcular_Totais(Gerar_TabelaComEntrada("sacre", 12000, 0.01, 36)).prestacao;
+  assert.equal(Resolver_Incognita("sacre", "itax", { valorFinanciado: 12000, p: 36, valorPago }, true).toFixed(6), "0.010000");
+  assert.equal(Resolver_Incognita("sacre", "parc", { valorFinanciado: 12000, t: 0.01, valorPago }, true), 36);
+  // a Price continua usando as fórmulas próprias
+  assert.equal(Resolver_Incognita("price", "parc", { ...dados, p: 0, valorPago: 13557.16 }), 24);
+  assert.equal(Resolver_Incognita("sac", "itax", { ...dados, valorPago: 11000 }), null);
+});
+
+test("quitação antecipada lida da tabela gerada", () => {
+  // quitar as 6 últimas prestações custa o saldo devedor do mês 18
+  const tabela = Gerar_TabelaPrice(12000, 0.01, 24);
+  const price = Calcular_Quitacao(tabela, 12000, 6, 0);
+  centavos(price.valorVoltar, tabela[17].saldoDevedor);
+  centavos(price.valorVoltar, 3273.76);
+  assert.equal(price.mesQuitacao, 18);
+  // SAC: amortização constante de 500, então faltam 3000 após o mês 18
+  const sac = Calcular_Quitacao(Gerar_TabelaSAC(12000, 0.01, 24), 12000, 6, 0);
+  centavos(sac.valorVoltar, 3000);
+  centavos(sac.jurosEconomizados, 105);
+  assert.equal(Calcular_Quitacao(Gerar_TabelaSAC(12000, 0.01, 24), 12000, 0, 3000).mesesVoltar, 6);
+  assert.equal(Calcular_Quitacao(Gerar_TabelaSAC(12000, 0.01, 24), 12000, 24, 0).valorVoltar, 12000);
+  assert.equal(Calcular_Quitacao(Gerar_TabelaSAC(12000, 0.01, 24), 12000, 0, 0).mesQuitacao, null);
+});
+
+test("conversões entre taxas mensais, anuais, nominais e efetivas", () => {
+  assert.equal(Converter_TaxaEfetivaAnual(0.01).toFixed(6), "0.126825");
+  assert.equal(Converter_TaxaEquivalenteMensal(0.126825).toFixed(6), "0.010000");
+  assert.equal(Converter_TaxaNominalAnual(0.01).toFixed(2), "0.12");
+  assert.equal(Converter_TaxaNominalParaMensal(0.12).toFixed(2), "0.01");
+});
+
+test("CET sem custos é a própria taxa do contrato", () => {
+  const cet = Calcular_CET(12000, Gerar_TabelaPrice(12000, 0.01, 24), {});
+  assert.equal(cet.mensal.toFixed(6), "0.010000");
+  assert.equal(cet.anual.toFixed(6), "0.126825");
+  // vale para qualquer tabela: SAC, com entrada ou com eventos
+  assert.equal(Calcular_CET(12000, Gerar_TabelaSAC(12000, 0.01, 24), {}).mensal.toFixed(6), "0.010000");
+  assert.equal(Calcular_CET(12000, Gerar_TabelaComEntrada("sacre", 12000, 0.01, 24), {}).mensal.toFixed(6), "0.010000");
+  const extra = [{ tipo: "extra", mes: 3, valor: 2000, recorrencia: 0, reduzir: "prazo" }];
+  assert.equal(Calcular_CET(12000, Gerar_TabelaPriceComEventos(12000, 0.01, 24, extra), {}).mensal.toFixed(6), "0.010000");
+});
+
+test("IOF, TAC e seguro aumentam o CET", () => {
+  const prestacao = Calcular_PrestacaoMensal(12000, 0.01, 24);
+  const cet = Calcular_CET(12000, Gerar_TabelaPrice(12000, 0.01, 24), { iof: 0.0038, tac: 500, seguro: 10 });
+  // valor liberado: 12000 - 45,60 - 500 = 11454,40, pago com 24 x 574,88
+  const esperado = Calcular_TaxaReal_MetodoNewton(11454.4, 24, (prestacao + 10) * 24);
+  assert.equal(cet.mensal.toFixed(8), esperado.toFixed(8));
+  assert.ok(cet.mensal > 0.01);
+});
+
+test("resumo de oferta e matriz de sensibilidade", () => {
+  const oferta = Resumir_Oferta(12000, 0.01, 24);
+  centavos(oferta.prestacao, 564.88);
+  centavos(oferta.juros, 1557.16);
+  const sac = Resumir_Oferta(12000, 0.01, 24, "sac");
+  centavos(sac.prestacao, 620);
+  centavos(sac.juros, 1500);
+  const comEntrada = Resumir_Oferta(12000, 0.01, 24, "price", true);
+  centavos(comEntrada.prestacao, Calcular_PrestacaoMensal(12000, 0.01, 24, true));
+  centavos(comEntrada.valorPago, Calcular_ValorPago(12000, 0.01, 24, true));
+
+  const matriz = Gerar_MatrizSensibilidade(12000, [0.01, 0.02], [12, 24, 36]);
+  assert.equal(matriz.length, 2);
+  assert.equal(matriz[0].length, 3);
+  centavos(matriz[0][1].prestacao, 564.88);
+  // prazos maiores baixam a prestação e aumentam os juros
+  assert.ok(matriz[1][0].prestacao > matriz[1][2].prestacao);
+  assert.ok(matriz[1][0].juros < matriz[1][2].juros);
+  // no SAC a célula traz a primeira prestação e os juros do próprio sistema
+  const matrizSac = Gerar_MatrizSensibilidade(12000, [0.01], [24], "sac");
+  centavos(matrizSac[0][0].prestacao, 620);
+  centavos(matrizSac[0][0].juros, 1500);
+  centavos(Gerar_MatrizSensibilidade(12000, [0.01], [24], "price", true)[0][0].juros, comEntrada.juros);
+});
+
+test("amortização extra reduz o prazo ou a prestação", () => {
+  const extra = { tipo: "extra", mes: 3, valor: 2000, recorrencia: 0 };
+  const prazo = Gerar_TabelaPriceComEventos(12000, 0.01, 24, [{ ...extra, reduzir: "prazo" }]);
+  assert.equal(prazo.length, 20);
+  centavos(Calcular_Totais(prazo).juros, 1133.17);
+  centavos(Calcular_Totais(prazo).amortizacao, 12000);
+  assert.equal(prazo[2].extra, 2000);
+  centavos(prazo[prazo.length - 1].saldoDevedor, 0);
+  // a quitação antecipada usa as linhas da tabela com eventos, não as 24 da Price
+  const quitacao = Calcular_Quitacao(prazo, 12000, 3, 0);
+  assert.equal(quitacao.mesQuitacao, 17);
+  centavos(quitacao.valorVoltar, prazo[16].saldoDevedor);
+
+  const prestacao = Gerar_TabelaPriceComEventos(12000, 0.01, 24, [{ ...extra, reduzir: "prestacao" }]);
+  assert.equal(prestacao.length, 24);
+  centavos(Calcular_Totais(prestacao).juros, 1329.87);
+  assert.ok(prestacao[3].prestacao < prestacao[0].prestacao);
+});
+
+test("carência incorpora os juros ao saldo e estende o prazo", () => {
+  const tabela = Gerar_TabelaPriceComEventos(12000, 0.01, 24, [{ tipo: "carencia", mes: 1, meses: 3 }]);
+  assert.equal(tabela.length, 27);
+  assert.ok(tabela[0].carencia);
+  assert.equal(tabela[0].prestacao, 0);
+  centavos(tabela[2].saldoDevedor, 12000 * 1.01 ** 3);
+  centavos(Calcular_Totais(tabela).amortizacao, 12000);
+});
+
+test("série de índices com projeção dos meses não publicados", () => {
+  const serie = { "2024-11": 0.39, "2024-12": 0.52, "2025-01": 0.16 };
+  const { taxas, projetados } = Extrair_SerieIndice(serie, "2024-12", 4);
+  assert.deepEqual(taxas.slice(0, 2), [0.0052, 0.0016]);
+  assert.equal(projetados, 2);
+  assert.equal(taxas[3].toFixed(6), ((0.39 + 0.52 + 0.16) / 3 / 100).toFixed(6));
+  assert.equal(Extrair_SerieIndice(serie, "2024-01", 4), null);
+});
+
+test("tabela indexada: sem índice é a tabela comum; com índice o valor real se mantém", () => {
+  const zeros = new Array(24).fill(0);
+  const price = Gerar_TabelaIndexada(12000, 0.01, 24, zeros);
+  centavos(price[0].prestacao, 564.88);
+  centavos(Calcular_Totais(price).juros, 1557.16);
+
+  const ipca = new Array(24).fill(0.005);
+  const tabela = Gerar_TabelaIndexada(12000, 0.01, 24, ipca);
+  assert.ok(tabela[23].prestacao > tabela[0].prestacao);
+  tabela.forEach((linha) => centavos(linha.prestacao / linha.fator, 564.88));
+  centavos(tabela[23].saldoDevedor, 0);
+  const correcao = tabela.reduce((soma, linha) => soma + linha.correcao, 0);
+  centavos(Calcular_Totais(tabela).amortizacao, 12000 + correcao);
+
+  const sac = Gerar_TabelaIndexada(12000, 0.01, 24, ipca, "sac");
+  sac.forEach((linha) => centavos(linha.amortizacao / linha.fator, 500));
+});
+
+test("entrada como série antecipada: prestação, coeficiente e mês 0", () => {
+  const prestacao = Calcular_PrestacaoMensal(12000, 0.01, 24, true);
+  centavos(prestacao, 564.88 / 1.01);
+  assert.equal(
+    Calcular_CoeficienteFinanciamento(0.01, 24, true).toFixed(8),
+    (Calcular_CoeficienteFinanciamento(0.01, 24) / 1.01).toFixed(8)
+  );
+  const valorPago = Calcular_ValorPago(12000, 0.01, 24, true);
+  assert.equal(Calcular_TaxaReal_MetodoNewton(12000, 24, valorPago, true).toFixed(6), "0.010000");
+  centavos(Calcular_ValorFinanciado(valorPago, 0.01, 24, true), 12000);
+  assert.equal(Calcular_Parcelamento(12000, 0.01, valorPago, true), 24);
+
+  const tabela = Gerar_TabelaComEntrada("price", 12000, 0.01, 24);
+  assert.equal(tabela.length, 24);
+  assert.deepEqual([tabela[0].mes, tabela[0].juros], [0, 0]);
+  tabela.forEach((linha) => centavos(linha.prestacao, prestacao));
+  centavos(tabela[23].saldoDevedor, 0);
+  centavos(Calcular_Totais(tabela).prestacao, valorPago);
+
+  const sac = Gerar_TabelaComEntrada("sac", 12000, 0.01, 24);
+  sac.forEach((linha) => centavos(linha.amortizacao, 500));
+  centavos(sac[0].prestacao, 500);
+});